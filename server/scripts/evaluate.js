@@ -0,0 +1,168 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import dotenv from 'dotenv';
+import {
+  loadGoldenSet,
+  runEvaluation,
+  renderMarkdownReport,
+  getJudgeNames,
+  DEFAULT_RECALL_KS
+} from '../src/services/evaluationService.js';
+import { RETRIEVAL_MODES } from '../src/services/retrievalService.js';
+import { getRerankerNames } from '../src/services/rerankService.js';
+import { getChunkerNames, resolveChunking } from '../src/services/chunkerRegistry.js';
+
+// Load environment variables
+dotenv.config();
+
+const serverDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const USAGE = `Usage: npm run eval -- [options]
+
+Ingests the golden set's fixtures, answers its questions through the query
+pipeline and writes a JSON and a Markdown report.
+
+Options:
+  --golden <file>      Golden file (default: eval/golden.json)
+  --out <dir>          Report directory (default: eval/results)
+  --label <name>       Name for the run, used in the report file names
+  --k <list>           Recall cut-offs, comma separated (default: ${DEFAULT_RECALL_KS.join(',')})
+  --mode <mode>        Retrieval mode: ${RETRIEVAL_MODES.join(' | ')}
+  --top-k <n>          Sources per answer
+  --candidates <n>     Candidates fetched before reranking
+  --reranker <name>    Reranker: ${getRerankerNames().join(' | ')}
+  --mmr-lambda <x>     MMR relevance/diversity trade-off (0-1)
+  --chunking <name>    Chunking strategy: ${getChunkerNames().join(' | ')}
+  --chunking-params <json>
+                       Chunking parameters as a JSON object
+  --profile <name>     Prompt profile (default: DEFAULT_PROFILE)
+  --judge <name>       Faithfulness judge: ${getJudgeNames().join(' | ')} (default: overlap)
+  --help               Show this message`;
+
+const fail = (message) => {
+  process.stderr.write(`${message}\n\n${USAGE}\n`);
+  process.exit(1);
+};
+
+const { values: options } = parseArgs({
+  options: {
+    golden: { type: 'string', default: path.join(serverDir, 'eval', 'golden.json') },
+    out: { type: 'string', default: path.join(serverDir, 'eval', 'results') },
+    label: { type: 'string' },
+    k: { type: 'string' },
+    mode: { type: 'string' },
+    'top-k': { type: 'string' },
+    candidates: { type: 'string' },
+    reranker: { type: 'string' },
+    'mmr-lambda': { type: 'string' },
+    chunking: { type: 'string' },
+    'chunking-params': { type: 'string' },
+    profile: { type: 'string' },
+    judge: { type: 'string', default: 'overlap' },
+    help: { type: 'boolean', default: false }
+  }
+});
+
+if (options.help) {
+  process.stdout.write(`${USAGE}\n`);
+  process.exit(0);
+}
+
+const toPositiveInt = (value, name) => {
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 1) {
+    fail(`${name} must be a positive integer`);
+  }
+  return parsed;
+};
+
+const ks = options.k
+  ? [...new Set(options.k.split(',').map(k => toPositiveInt(k.trim(), '--k')))].sort((a, b) => a - b)
+  : DEFAULT_RECALL_KS;
+
+if (options.mode && !RETRIEVAL_MODES.includes(options.mode)) {
+  fail(`--mode must be one of: ${RETRIEVAL_MODES.join(', ')}`);
+}
+if (options.reranker && !getRerankerNames().includes(options.reranker)) {
+  fail(`--reranker must be one of: ${getRerankerNames().join(', ')}`);
+}
+if (!getJudgeNames().includes(options.judge)) {
+  fail(`--judge must be one of: ${getJudgeNames().join(', ')}`);
+}
+if (options.label && !/^[\w.-]+$/.test(options.label)) {
+  fail('--label may only contain letters, digits, ".", "_" and "-"');
+}
+
+let mmrLambda;
+if (options['mmr-lambda'] !== undefined) {
+  mmrLambda = Number(options['mmr-lambda']);
+  if (!(mmrLambda >= 0 && mmrLambda <= 1)) {
+    fail('--mmr-lambda must be between 0 and 1');
+  }
+}
+
+// Only the options given on the command line; the rest keep their defaults
+const retrieval = Object.fromEntries(Object.entries({
+  mode: options.mode,
+  topK: options['top-k'] && toPositiveInt(options['top-k'], '--top-k'),
+  candidates: options.candidates && toPositiveInt(options.candidates, '--candidates'),
+  reranker: options.reranker,
+  mmrLambda
+}).filter(([, value]) => value !== undefined));
+
+let chunkingParams = {};
+if (options['chunking-params'] !== undefined) {
+  try {
+    chunkingParams = JSON.parse(options['chunking-params']);
+  } catch {
+    chunkingParams = null;
+  }
+  if (!chunkingParams || typeof chunkingParams !== 'object' || Array.isArray(chunkingParams)) {
+    fail('--chunking-params must be a JSON object');
+  }
+}
+
+let chunking;
+try {
+  chunking = resolveChunking(options.chunking, chunkingParams);
+} catch (error) {
+  fail(error.message);
+}
+
+try {
+  const golden = await loadGoldenSet(options.golden);
+  const report = await runEvaluation(golden, {
+    ks,
+    retrieval,
+    chunking,
+    profile: options.profile,
+    judge: options.judge,
+    label: options.label
+  });
+
+  const stamp = report.startedAt.replace(/[:.]/g, '-');
+  const baseName = `eval-${stamp}${options.label ? `-${options.label}` : ''}`;
+  const jsonPath = path.join(options.out, `${baseName}.json`);
+  const markdownPath = path.join(options.out, `${baseName}.md`);
+
+  await fs.mkdir(options.out, { recursive: true });
+  await fs.writeFile(jsonPath, `${JSON.stringify(report, null, 2)}\n`);
+  await fs.writeFile(markdownPath, renderMarkdownReport(report));
+
+  const { summary } = report;
+  process.stdout.write([
+    `Questions: ${summary.questions} (${summary.errors} failed)`,
+    ...ks.map(k => `Recall@${k}: ${summary.recall[k]}`),
+    `MRR: ${summary.mrr}`,
+    `Faithfulness: ${summary.faithfulness}`,
+    `Answer F1: ${summary.answerF1}`,
+    `Reports: ${jsonPath}`,
+    `         ${markdownPath}`,
+    ''
+  ].join('\n'));
+} catch (error) {
+  process.stderr.write(`Evaluation failed: ${error.message}\n`);
+  process.exit(1);
+}
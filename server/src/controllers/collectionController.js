@@ -0,0 +1,160 @@
+import { v4 as uuidv4 } from 'uuid';
+import { AppError } from '../middleware/errorHandler.js';
+import { getCollectionRepository } from '../repositories/collectionRepository.js';
+import { getDocumentRepository } from '../repositories/documentRepository.js';
+
+/**
+ * Make sure every referenced document exists and belongs to the tenant
+ */
+const assertDocumentsExist = async (documentIds, tenantId) => {
+  const documents = getDocumentRepository();
+  const missing = [];
+
+  for (const documentId of documentIds) {
+    if (!(await documents.get(documentId, { tenantId }))) {
+      missing.push(documentId);
+    }
+  }
+
+  if (missing.length > 0) {
+    throw new AppError(`Document not found: ${missing.join(', ')}`, 404, 'DOCUMENT_NOT_FOUND');
+  }
+};
+
+/**
+ * Load one of the tenant's collections or fail with COLLECTION_NOT_FOUND
+ */
+const getCollectionOrThrow = async (collectionId, tenantId) => {
+  const collection = await getCollectionRepository().get(collectionId, { tenantId });
+
+  if (!collection) {
+    throw new AppError('Collection not found', 404, 'COLLECTION_NOT_FOUND');
+  }
+
+  return collection;
+};
+
+/**
+ * Create a collection of documents
+ * POST /api/collections
+ */
+export const createCollection = async (req, res, next) => {
+  try {
+    const { name, description = '', documentIds = [] } = req.body;
+
+    await assertDocumentsExist(documentIds, req.tenantId);
+
+    const collection = await getCollectionRepository().create({
+      collectionId: uuidv4(),
+      tenantId: req.tenantId,
+      name: name.trim(),
+      description,
+      documentIds
+    });
+
+    res.status(201).json({
+      success: true,
+      collection
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List all collections
+ * GET /api/collections
+ */
+export const listCollections = async (req, res, next) => {
+  try {
+    const collections = await getCollectionRepository().list({ tenantId: req.tenantId });
+
+    res.json({
+      success: true,
+      collections
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a collection by ID
+ * GET /api/collections/:id
+ */
+export const getCollection = async (req, res, next) => {
+  try {
+    const collection = await getCollectionOrThrow(req.params.id, req.tenantId);
+
+    res.json({
+      success: true,
+      collection
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a collection (its documents are kept)
+ * DELETE /api/collections/:id
+ */
+export const deleteCollection = async (req, res, next) => {
+  try {
+    await getCollectionOrThrow(req.params.id, req.tenantId);
+    await getCollectionRepository().remove(req.params.id);
+
+    res.json({
+      success: true,
+      collectionId: req.params.id
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add documents to a collection
+ * POST /api/collections/:id/documents
+ */
+export const addCollectionDocuments = async (req, res, next) => {
+  try {
+    const { documentIds } = req.body;
+
+    await getCollectionOrThrow(req.params.id, req.tenantId);
+    await assertDocumentsExist(documentIds, req.tenantId);
+
+    const collection = await getCollectionRepository().addDocuments(req.params.id, documentIds);
+
+    res.json({
+      success: true,
+      collection
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a document from a collection
+ * DELETE /api/collections/:id/documents/:documentId
+ */
+export const removeCollectionDocument = async (req, res, next) => {
+  try {
+    const { id, documentId } = req.params;
+    const existing = await getCollectionOrThrow(id, req.tenantId);
+
+    if (!existing.documentIds.includes(documentId)) {
+      throw new AppError('Document is not part of this collection', 404, 'DOCUMENT_NOT_FOUND');
+    }
+
+    const collection = await getCollectionRepository().removeDocuments(id, [documentId]);
+
+    res.json({
+      success: true,
+      collection
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,189 @@
+import { v4 as uuidv4 } from 'uuid';
+import { AppError } from '../middleware/errorHandler.js';
+import * as queryService from '../services/queryService.js';
+import { getConversationRepository } from '../repositories/conversationRepository.js';
+import { getDocumentRepository } from '../repositories/documentRepository.js';
+import { getProfile } from '../services/promptService.js';
+import { resolveQueryDocuments, resolveQueryProfile } from './queryController.js';
+import { getTenantNamespace } from '../utils/tenant.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Load one of the tenant's conversations or fail with CONVERSATION_NOT_FOUND
+ */
+const getConversationOrThrow = async (conversationId, tenantId) => {
+  const conversation = await getConversationRepository().get(conversationId, { tenantId });
+
+  if (!conversation) {
+    throw new AppError('Conversation not found', 404, 'CONVERSATION_NOT_FOUND');
+  }
+
+  return conversation;
+};
+
+/**
+ * Conversation metadata without its messages
+ */
+const toConversationSummary = ({ messages, ...conversation }) => ({
+  ...conversation,
+  messageCount: messages.length
+});
+
+/**
+ * Start a conversation about a document
+ * POST /api/conversations
+ */
+export const createConversation = async (req, res, next) => {
+  try {
+    const { documentId, profile } = req.body;
+
+    if (!(await getDocumentRepository().get(documentId, { tenantId: req.tenantId }))) {
+      throw new AppError('Document not found', 404, 'DOCUMENT_NOT_FOUND');
+    }
+
+    if (profile && !(await getProfile(profile, { tenantId: req.tenantId }))) {
+      throw new AppError('Profile not found', 404, 'PROFILE_NOT_FOUND');
+    }
+
+    const conversation = await getConversationRepository().create({
+      conversationId: uuidv4(),
+      tenantId: req.tenantId,
+      documentId,
+      ...(profile && { profile })
+    });
+
+    res.status(201).json({
+      success: true,
+      conversation: toConversationSummary(conversation)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get conversation metadata
+ * GET /api/conversations/:id
+ */
+export const getConversation = async (req, res, next) => {
+  try {
+    const conversation = await getConversationOrThrow(req.params.id, req.tenantId);
+
+    res.json({
+      success: true,
+      conversation: toConversationSummary(conversation)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the messages of a conversation, oldest first
+ * GET /api/conversations/:id/messages
+ */
+export const listMessages = async (req, res, next) => {
+  try {
+    const conversation = await getConversationOrThrow(req.params.id, req.tenantId);
+
+    res.json({
+      success: true,
+      conversationId: conversation.conversationId,
+      messages: conversation.messages
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Ask a question in a conversation. The server supplies the history and
+ * stores both turns, including the rewritten query and the sources.
+ * POST /api/conversations/:id/messages
+ */
+export const postMessage = async (req, res, next) => {
+  try {
+    const { question, retrieval = {}, context } = req.body;
+    const conversation = await getConversationOrThrow(req.params.id, req.tenantId);
+
+    const documents = await resolveQueryDocuments({ documentId: conversation.documentId }, { tenantId: req.tenantId });
+    const profile = await resolveQueryProfile(conversation.profile, documents, { tenantId: req.tenantId });
+
+    // The whole conversation: turns that no longer fit the token budget are
+    // folded into the stored rolling summary
+    const history = conversation.messages.map(({ role, content }) => ({ role, content }));
+
+    const result = await queryService.processQuery([conversation.documentId], question, history, {
+      retrieval: { ...retrieval, namespace: getTenantNamespace(req.tenantId) },
+      profile,
+      context,
+      summary: conversation.historySummary
+    });
+
+    if (result.historySummary && result.historySummary.messageCount !== conversation.historySummary?.messageCount) {
+      await getConversationRepository().setSummary(conversation.conversationId, result.historySummary);
+    }
+
+    const messages = await getConversationRepository().appendMessages(conversation.conversationId, [
+      { role: 'user', content: question },
+      {
+        role: 'model',
+        content: result.answer,
+        standaloneQuery: result.query,
+        sources: result.sources,
+        timestamp: result.timestamp
+      }
+    ]);
+
+    res.status(201).json({
+      success: true,
+      conversationId: conversation.conversationId,
+      answer: result.answer,
+      query: result.query,
+      sources: result.sources,
+      contextUsage: result.contextUsage,
+      timestamp: result.timestamp,
+      messages
+    });
+  } catch (error) {
+    logger.error('Error handling conversation message', { conversationId: req.params.id, error });
+    next(error);
+  }
+};
+
+/**
+ * Delete all messages of a conversation (the conversation itself is kept)
+ * DELETE /api/conversations/:id/messages
+ */
+export const clearMessages = async (req, res, next) => {
+  try {
+    await getConversationOrThrow(req.params.id, req.tenantId);
+    const deletedMessages = await getConversationRepository().clearMessages(req.params.id);
+
+    res.json({
+      success: true,
+      conversationId: req.params.id,
+      deletedMessages
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a conversation and its messages
+ * DELETE /api/conversations/:id
+ */
+export const deleteConversation = async (req, res, next) => {
+  try {
+    await getConversationOrThrow(req.params.id, req.tenantId);
+    await getConversationRepository().remove(req.params.id);
+
+    res.json({
+      success: true,
+      conversationId: req.params.id
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,14 +1,56 @@
 import { v4 as uuidv4 } from 'uuid';
 import { AppError } from '../middleware/errorHandler.js';
-import * as documentService from '../services/documentService.js';
+import { enqueueIngestion, cancelIngestion, getQueuePosition } from '../services/ingestionQueue.js';
+import { getDocumentRepository } from '../repositories/documentRepository.js';
+import { getCollectionRepository } from '../repositories/collectionRepository.js';
+import { deleteDocumentVectors } from '../services/vectorStoreService.js';
+import { deleteKeywordIndex } from '../services/keywordIndexService.js';
+import { getProfile } from '../services/promptService.js';
+import { detectFileType } from '../services/loaderRegistry.js';
+import { OCR_MODES } from '../services/ocrService.js';
+import { resolveChunking, isSameChunking } from '../services/chunkerRegistry.js';
+import { publishDocumentEvent, subscribeToDocument } from '../services/documentEvents.js';
+import { openEventStream } from '../utils/sse.js';
+import { profileNameRegex } from '../middleware/validateRequest.js';
+import { handOffIngestion, meterIngestion } from '../middleware/rateLimitMiddleware.js';
+import { hashFile } from '../utils/hash.js';
+import { getTenantId, getTenantNamespace } from '../utils/tenant.js';
+import { logger } from '../utils/logger.js';
+import { ingestionsTotal } from '../services/metricsService.js';
 import fs from 'fs/promises';
 
-// In-memory storage for document metadata
-// In production, this should be replaced with a database
-const documents = new Map();
+/**
+ * Document metadata as returned to clients (without the internal file path)
+ */
+const toPublicDocument = ({ filePath, ...documentData }) => documentData;
 
 /**
- * Upload and process a PDF document
+ * Chunking choice of an upload: the `chunking` strategy field and the
+ * `chunkingParams` field, a JSON object of the strategy's parameters.
+ * Missing fields take CHUNKING_STRATEGY and the strategy's defaults.
+ */
+const parseChunking = (body = {}) => {
+  let params = {};
+  if (body.chunkingParams) {
+    try {
+      params = JSON.parse(body.chunkingParams);
+    } catch {
+      throw new AppError('chunkingParams must be a JSON object', 400, 'VALIDATION_ERROR');
+    }
+    if (!params || typeof params !== 'object' || Array.isArray(params)) {
+      throw new AppError('chunkingParams must be a JSON object', 400, 'VALIDATION_ERROR');
+    }
+  }
+
+  try {
+    return resolveChunking(body.chunking || undefined, params);
+  } catch (error) {
+    throw new AppError(error.message, 400, 'VALIDATION_ERROR');
+  }
+};
+
+/**
+ * Upload and process a document (PDF, DOCX, Markdown, HTML, text or EPUB)
  * POST /api/documents/upload
  */
 export const uploadDocument = async (req, res, next) => {
@@ -37,62 +79,105 @@ export const uploadDocument = async (req, res, next) => {
       throw new AppError('Invalid file name', 400, 'INVALID_FILE_NAME');
     }
 
+    // Check the content really is a supported format
+    const fileType = await detectFileType(filePath, file.originalname);
+    if (!fileType) {
+      throw new AppError('File content does not match a supported document format', 400, 'INVALID_FILE_TYPE');
+    }
+
+    // Validate the optional prompt profile for this document
+    const profile = req.body?.profile || undefined;
+    if (profile !== undefined) {
+      if (!profileNameRegex.test(profile)) {
+        throw new AppError('Invalid profile name', 400, 'VALIDATION_ERROR');
+      }
+      if (!(await getProfile(profile, { tenantId: req.tenantId }))) {
+        throw new AppError('Profile not found', 404, 'PROFILE_NOT_FOUND');
+      }
+    }
+
+    // Optional OCR mode for this upload (defaults to OCR_MODE)
+    const ocr = req.body?.ocr || undefined;
+    if (ocr !== undefined && !OCR_MODES.includes(ocr)) {
+      throw new AppError(`ocr must be one of: ${OCR_MODES.join(', ')}`, 400, 'VALIDATION_ERROR');
+    }
+
+    // Chunking strategy and parameters for this upload
+    const chunking = parseChunking(req.body);
+
+    // An identical file the tenant already indexed with the same chunking
+    // is returned as is, unless the client forces a full reindex
+    const documents = getDocumentRepository();
+    const contentHash = await hashFile(filePath);
+    const force = ['true', '1', 'yes'].includes(String(req.body?.force).toLowerCase());
+    
+    if (!force) {
+      const existing = await documents.findByContentHash(contentHash, {
+        status: 'ready',
+        tenantId: req.tenantId,
+        where: doc => isSameChunking(doc.chunking, chunking)
+      });
+      
+      if (existing) {
+        await fs.unlink(filePath).catch(() => {});
+        logger.info('Upload matches an existing document, skipping ingestion', {
+          fileName: file.originalname,
+          documentId: existing.documentId
+        });
+        ingestionsTotal.inc({ outcome: 'deduplicated' });
+        
+        return res.status(200).json({
+          success: true,
+          documentId: existing.documentId,
+          fileName: existing.fileName,
+          deduplicated: true,
+          message: 'Identical document already processed; returning the existing document'
+        });
+      }
+    }
+
     // Generate unique document ID
     const documentId = uuidv4();
     
     // Store initial document metadata
-    documents.set(documentId, {
+    await documents.create({
       documentId,
+      tenantId: req.tenantId,
       fileName: file.originalname,
-      uploadDate: new Date(),
       status: 'processing',
+      fileType,
+      contentHash,
       filePath: file.path,
-      fileSize: file.size
+      fileSize: file.size,
+      requestId: req.id,
+      chunking,
+      ...(profile && { profile }),
+      ...(ocr && { ocr })
     });
 
-    // Process document asynchronously
-    // We'll return immediately and process in background
-    documentService.processDocument(file.path, documentId, file.originalname)
-      .then((result) => {
-        // Update document metadata with processing results
-        const doc = documents.get(documentId);
-        if (doc) {
-          documents.set(documentId, {
-            ...doc,
-            status: 'ready',
-            pageCount: result.pageCount,
-            chunkCount: result.chunkCount
-          });
-        }
-        
-        // Clean up temporary file after successful processing
-        fs.unlink(file.path).catch(err => {
-          console.error('Failed to delete temporary file:', err);
-        });
-      })
-      .catch((error) => {
-        // Update status to failed
-        const doc = documents.get(documentId);
-        if (doc) {
-          documents.set(documentId, {
-            ...doc,
-            status: 'failed',
-            error: error.message
-          });
-          console.error(`Document processing failed: ${documentId} - ${error.message}`);
-        }
-        
-        // Clean up temporary file after failed processing
-        fs.unlink(file.path).catch(err => {
-          console.error('Failed to delete temporary file:', err);
-        });
-      });
+    // Hand the file to the ingestion queue; it reports progress on the
+    // document and deletes the file when done
+    const job = await enqueueIngestion({
+      documentId,
+      tenantId: req.tenantId,
+      requestId: req.id,
+      filePath: file.path,
+      fileName: file.originalname,
+      fileType,
+      ocr,
+      chunking,
+      meter: meterIngestion(req)
+    });
+
+    // The job keeps the client's ingestion slot until it finishes
+    handOffIngestion(req, job);
 
     // Return success response immediately
     res.status(201).json({
       success: true,
       documentId,
       fileName: file.originalname,
+      deduplicated: false,
       message: 'Document uploaded and processing started'
     });
   } catch (error) {
@@ -112,18 +197,84 @@ export const getDocument = async (req, res, next) => {
   try {
     const { id } = req.params;
     
-    const document = documents.get(id);
+    const document = await getDocumentRepository().get(id, { tenantId: req.tenantId });
     
     if (!document) {
       throw new AppError('Document not found', 404, 'DOCUMENT_NOT_FOUND');
     }
 
     // Return document metadata without internal file path
-    const { filePath, ...documentData } = document;
+    const queuePosition = getQueuePosition(id);
+    res.json({
+      success: true,
+      document: {
+        ...toPublicDocument(document),
+        ...(queuePosition && { queuePosition })
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List documents with filtering, sorting and cursor pagination
+ * GET /api/documents?status=&search=&sortBy=&order=&limit=&cursor=
+ */
+export const listDocuments = async (req, res, next) => {
+  try {
+    const result = await getDocumentRepository().query({ ...req.listOptions, tenantId: req.tenantId });
+    
+    res.json({
+      success: true,
+      documents: result.documents.map(toPublicDocument),
+      total: result.total,
+      hasMore: result.hasMore,
+      nextCursor: result.nextCursor
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a document and all of its vectors, cancelling its ingestion if
+ * it is still processing
+ * DELETE /api/documents/:id
+ */
+export const deleteDocument = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const documents = getDocumentRepository();
+    
+    const document = await documents.get(id, { tenantId: req.tenantId });
+    
+    if (!document) {
+      throw new AppError('Document not found', 404, 'DOCUMENT_NOT_FOUND');
+    }
+    
+    // Stop the ingestion and wait for it to wind down so no vectors are
+    // written after the purge below
+    const cancelledIngestion = await cancelIngestion(id);
+    
+    const deletedVectors = await deleteDocumentVectors(id, {
+      namespace: getTenantNamespace(getTenantId(document))
+    });
+    await deleteKeywordIndex(id);
+    
+    await documents.remove(id);
+    await getCollectionRepository().removeDocumentEverywhere(id);
+    publishDocumentEvent('deleted', document);
+    
+    if (document.filePath) {
+      await fs.unlink(document.filePath).catch(() => {});
+    }
     
     res.json({
       success: true,
-      document: documentData
+      documentId: id,
+      deletedVectors,
+      cancelledIngestion
     });
   } catch (error) {
     next(error);
@@ -131,6 +282,87 @@ export const getDocument = async (req, res, next) => {
 };
 
 /**
- * Export documents map for use in other modules if needed
+ * Cancel a queued or running ingestion and mark the document failed.
+ * Like any failed document it can be deleted to purge partial vectors.
+ * POST /api/documents/:id/cancel
+ */
+export const cancelDocumentIngestion = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const documents = getDocumentRepository();
+    
+    if (!(await documents.get(id, { tenantId: req.tenantId }))) {
+      throw new AppError('Document not found', 404, 'DOCUMENT_NOT_FOUND');
+    }
+    
+    if (!(await cancelIngestion(id))) {
+      throw new AppError('Document is not being processed', 409, 'DOCUMENT_NOT_PROCESSING');
+    }
+    
+    const document = await documents.setStatus(id, 'failed', { error: 'Ingestion cancelled', cancelled: true });
+    publishDocumentEvent('status', document);
+    
+    res.json({
+      success: true,
+      document: toPublicDocument(document)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Stream a document's status and ingestion progress over Server-Sent
+ * Events. The current state is sent first; the stream ends once the
+ * document is ready, failed or deleted.
+ * GET /api/documents/:id/events
+ */
+export const streamDocumentEvents = async (req, res, next) => {
+  let document;
+  
+  try {
+    document = await getDocumentRepository().get(req.params.id, { tenantId: req.tenantId });
+    
+    if (!document) {
+      throw new AppError('Document not found', 404, 'DOCUMENT_NOT_FOUND');
+    }
+  } catch (error) {
+    return next(error);
+  }
+  
+  const stream = openEventStream(res);
+  const isFinished = ({ status }) => status === 'ready' || status === 'failed';
+  
+  stream.send('status', toPublicDocument(document));
+  if (isFinished(document)) {
+    return stream.close();
+  }
+  
+  const unsubscribe = subscribeToDocument(document.documentId, ({ type, document: changed }) => {
+    if (type === 'deleted') {
+      stream.send('deleted', { documentId: changed.documentId });
+      return stream.close();
+    }
+    
+    if (type === 'progress') {
+      stream.send('progress', {
+        documentId: changed.documentId,
+        status: changed.status,
+        progress: changed.progress
+      });
+      return;
+    }
+    
+    stream.send('status', toPublicDocument(changed));
+    if (isFinished(changed)) {
+      stream.close();
+    }
+  });
+  
+  res.on('close', unsubscribe);
+};
+
+/**
+ * Export the document repository for use in other modules
  */
-export const getDocuments = () => documents;
+export const getDocuments = () => getDocumentRepository();
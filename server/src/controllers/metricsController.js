@@ -0,0 +1,9 @@
+import { renderMetrics } from '../services/metricsService.js';
+
+/**
+ * Prometheus metrics in the text exposition format
+ * GET /metrics
+ */
+export const getMetrics = (req, res) => {
+  res.type('text/plain; version=0.0.4').send(renderMetrics());
+};
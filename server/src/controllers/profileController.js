@@ -0,0 +1,126 @@
+import { AppError } from '../middleware/errorHandler.js';
+import { getProfileRepository } from '../repositories/profileRepository.js';
+import { BUILT_IN_PROFILES, getProfile, listProfiles as listAllProfiles } from '../services/promptService.js';
+
+// Fields a client may set on a profile
+const PROFILE_FIELDS = ['description', 'systemInstruction', 'answerStyle', 'temperature', 'outputFormat', 'rewriteInstruction'];
+
+const pickProfileFields = (body) => Object.fromEntries(
+  PROFILE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+const assertNotBuiltIn = (name) => {
+  if (BUILT_IN_PROFILES[name]) {
+    throw new AppError(`Profile "${name}" is built in and cannot be modified`, 400, 'PROFILE_READ_ONLY');
+  }
+};
+
+/**
+ * List prompt profiles (built-in and custom)
+ * GET /api/profiles
+ */
+export const listProfiles = async (req, res, next) => {
+  try {
+    const profiles = await listAllProfiles({ tenantId: req.tenantId });
+
+    res.json({
+      success: true,
+      profiles
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a prompt profile by name
+ * GET /api/profiles/:name
+ */
+export const getProfileByName = async (req, res, next) => {
+  try {
+    const profile = await getProfile(req.params.name, { tenantId: req.tenantId });
+
+    if (!profile) {
+      throw new AppError('Profile not found', 404, 'PROFILE_NOT_FOUND');
+    }
+
+    res.json({
+      success: true,
+      profile
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a custom prompt profile
+ * POST /api/profiles
+ */
+export const createProfile = async (req, res, next) => {
+  try {
+    const { name } = req.body;
+    assertNotBuiltIn(name);
+
+    const profiles = getProfileRepository();
+    if (await profiles.get(name, { tenantId: req.tenantId })) {
+      throw new AppError(`Profile "${name}" already exists`, 409, 'PROFILE_EXISTS');
+    }
+
+    const profile = await profiles.save({ name, tenantId: req.tenantId, ...pickProfileFields(req.body) });
+
+    res.status(201).json({
+      success: true,
+      profile
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a custom prompt profile
+ * PUT /api/profiles/:name
+ */
+export const updateProfile = async (req, res, next) => {
+  try {
+    const { name } = req.params;
+    assertNotBuiltIn(name);
+
+    const profiles = getProfileRepository();
+    if (!(await profiles.get(name, { tenantId: req.tenantId }))) {
+      throw new AppError('Profile not found', 404, 'PROFILE_NOT_FOUND');
+    }
+
+    const profile = await profiles.save({ name, tenantId: req.tenantId, ...pickProfileFields(req.body) });
+
+    res.json({
+      success: true,
+      profile
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a custom prompt profile
+ * DELETE /api/profiles/:name
+ */
+export const deleteProfile = async (req, res, next) => {
+  try {
+    const { name } = req.params;
+    assertNotBuiltIn(name);
+
+    if (!(await getProfileRepository().remove(name, { tenantId: req.tenantId }))) {
+      throw new AppError('Profile not found', 404, 'PROFILE_NOT_FOUND');
+    }
+
+    res.json({
+      success: true,
+      name
+    });
+  } catch (error) {
+    next(error);
+  }
+};
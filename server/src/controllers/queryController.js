@@ -1,59 +1,223 @@
 import { AppError } from '../middleware/errorHandler.js';
 import * as queryService from '../services/queryService.js';
 import { getDocuments } from './documentController.js';
+import { getCollectionRepository } from '../repositories/collectionRepository.js';
+import { getProfile, getDefaultProfileName } from '../services/promptService.js';
+import { openEventStream, toErrorEvent } from '../utils/sse.js';
+import { getTenantNamespace } from '../utils/tenant.js';
+import { logger } from '../utils/logger.js';
 
 /**
- * Handle user query about a document
- * POST /api/query
+ * Look up one of the tenant's documents and make sure it can be queried
  */
-export const handleQuery = async (req, res, next) => {
-  try {
-    const { documentId, question, history = [] } = req.body;
-    
-    // Check if document exists and is ready
-    const documents = getDocuments();
-    const document = documents.get(documentId);
+const getQueryableDocument = async (documentId, tenantId) => {
+  const documents = getDocuments();
+  const document = await documents.get(documentId, { tenantId });
+  
+  if (!document) {
+    throw new AppError('Document not found', 404, 'DOCUMENT_NOT_FOUND');
+  }
+  
+  if (document.status === 'processing') {
+    throw new AppError(
+      'Document is still being processed. Please try again in a moment.',
+      400,
+      'DOCUMENT_PROCESSING'
+    );
+  }
+  
+  if (document.status === 'failed') {
+    throw new AppError(
+      `Document processing failed: ${document.error || 'Unknown error'}. Please upload the document again.`,
+      400,
+      'DOCUMENT_FAILED'
+    );
+  }
+  
+  // Validate document is ready
+  if (document.status !== 'ready') {
+    throw new AppError(
+      'Document is not ready for queries',
+      400,
+      'DOCUMENT_NOT_READY'
+    );
+  }
+  
+  return document;
+};
+
+/**
+ * Resolve the documents a query targets: a single documentId, an explicit
+ * documentIds list (all must be ready) or a collectionId (its ready
+ * members). Only the tenant's own documents and collections are found.
+ */
+export const resolveQueryDocuments = async ({ documentId, documentIds, collectionId }, { tenantId } = {}) => {
+  if (collectionId) {
+    const collection = await getCollectionRepository().get(collectionId, { tenantId });
     
-    if (!document) {
-      throw new AppError('Document not found', 404, 'DOCUMENT_NOT_FOUND');
+    if (!collection) {
+      throw new AppError('Collection not found', 404, 'COLLECTION_NOT_FOUND');
     }
     
-    if (document.status === 'processing') {
-      throw new AppError(
-        'Document is still being processed. Please try again in a moment.',
-        400,
-        'DOCUMENT_PROCESSING'
-      );
+    if (collection.documentIds.length === 0) {
+      throw new AppError('Collection has no documents', 400, 'COLLECTION_EMPTY');
     }
     
-    if (document.status === 'failed') {
-      throw new AppError(
-        `Document processing failed: ${document.error || 'Unknown error'}. Please upload the document again.`,
-        400,
-        'DOCUMENT_FAILED'
-      );
+    const documents = getDocuments();
+    const ready = [];
+    for (const id of collection.documentIds) {
+      const document = await documents.get(id, { tenantId });
+      if (document && document.status === 'ready') {
+        ready.push(document);
+      }
     }
     
-    // Validate document is ready
-    if (document.status !== 'ready') {
+    if (ready.length === 0) {
       throw new AppError(
-        'Document is not ready for queries',
+        'No documents in this collection are ready for queries',
         400,
         'DOCUMENT_NOT_READY'
       );
     }
     
-    // Process the query
-    const result = await queryService.processQuery(documentId, question, history);
+    return ready;
+  }
+  
+  const ids = documentIds ? [...new Set(documentIds)] : [documentId];
+  const resolved = [];
+  for (const id of ids) {
+    resolved.push(await getQueryableDocument(id, tenantId));
+  }
+  
+  return resolved;
+};
+
+/**
+ * Pick the prompt profile for a query: the one named in the request, else
+ * the profile shared by all targeted documents, else the default
+ */
+export const resolveQueryProfile = async (requested, documents, { tenantId } = {}) => {
+  if (requested) {
+    const profile = await getProfile(requested, { tenantId });
+    if (!profile) {
+      throw new AppError('Profile not found', 404, 'PROFILE_NOT_FOUND');
+    }
+    return profile;
+  }
+  
+  const documentProfiles = new Set(documents.map(document => document.profile));
+  if (documentProfiles.size === 1) {
+    const [name] = documentProfiles;
+    const profile = name && await getProfile(name, { tenantId });
+    if (profile) {
+      return profile;
+    }
+  }
+  
+  return (await getProfile(getDefaultProfileName(), { tenantId })) || getProfile('dsa-expert');
+};
+
+/**
+ * Describe the query target for log messages
+ */
+const describeTarget = ({ documentId, documentIds, collectionId }) => {
+  if (collectionId) {
+    return `collection ${collectionId}`;
+  }
+  if (documentIds) {
+    return `documents ${documentIds.join(', ')}`;
+  }
+  return `document ${documentId}`;
+};
+
+/**
+ * Rolling history summary as handed to stateless clients: { text,
+ * messageCount }, or null when nothing was summarized
+ */
+const toClientSummary = (summary) => (summary ? { text: summary.text, messageCount: summary.messageCount } : null);
+
+/**
+ * Handle user query about a document
+ * POST /api/query
+ */
+export const handleQuery = async (req, res, next) => {
+  try {
+    const { question, history = [], historySummary, retrieval = {}, context } = req.body;
+    
+    // Check the targeted documents exist, belong to the caller and are ready
+    const documents = await resolveQueryDocuments(req.body, { tenantId: req.tenantId });
+    const documentIds = documents.map(document => document.documentId);
+    const profile = await resolveQueryProfile(req.body.profile, documents, { tenantId: req.tenantId });
+    
+    // Process the query, searching only the tenant's vectors
+    const result = await queryService.processQuery(documentIds, question, history, {
+      retrieval: { ...retrieval, namespace: getTenantNamespace(req.tenantId) },
+      profile,
+      context,
+      summary: historySummary
+    });
     
     res.json({
       success: true,
       answer: result.answer,
+      sources: result.sources,
+      contextUsage: result.contextUsage,
+      // Sent back with the same history prefix, it spares re-summarizing
+      historySummary: toClientSummary(result.historySummary),
       timestamp: result.timestamp
     });
   } catch (error) {
     // Log the error with context
-    console.error(`Error handling query for document ${req.body.documentId}:`, error.message);
+    logger.error('Error handling query', { target: describeTarget(req.body), error });
     next(error);
   }
 };
+
+/**
+ * Stream the answer to a user query as Server-Sent Events
+ * POST /api/query/stream
+ */
+export const handleQueryStream = async (req, res, next) => {
+  const { question, history = [], historySummary, retrieval = {}, context } = req.body;
+  let documentIds;
+  let profile;
+  
+  try {
+    // Errors before the stream opens go through the regular error handler
+    const documents = await resolveQueryDocuments(req.body, { tenantId: req.tenantId });
+    documentIds = documents.map(document => document.documentId);
+    profile = await resolveQueryProfile(req.body.profile, documents, { tenantId: req.tenantId });
+  } catch (error) {
+    logger.error('Error handling query', { target: describeTarget(req.body), error });
+    return next(error);
+  }
+  
+  const stream = openEventStream(res);
+  const abortController = new AbortController();
+  res.on('close', () => abortController.abort());
+  
+  try {
+    const events = queryService.streamQuery(documentIds, question, history, {
+      signal: abortController.signal,
+      retrieval: { ...retrieval, namespace: getTenantNamespace(req.tenantId) },
+      profile,
+      context,
+      summary: historySummary
+    });
+    
+    for await (const { event, data } of events) {
+      const payload = event === 'done' ? { ...data, historySummary: toClientSummary(data.historySummary) } : data;
+      if (!stream.send(event, payload)) {
+        // Client went away, stop generating
+        break;
+      }
+    }
+  } catch (error) {
+    if (!abortController.signal.aborted) {
+      logger.error('Error streaming query', { target: describeTarget(req.body), error });
+      stream.send('error', toErrorEvent(error));
+    }
+  } finally {
+    stream.close();
+  }
+};
@@ -0,0 +1,38 @@
+import {
+  getClientId,
+  getLimits,
+  getRequestUsage,
+  getDailyUsage,
+  getActiveIngestions
+} from '../services/quotaService.js';
+
+const withIsoReset = ({ resetAt, ...usage }) => ({ ...usage, resetAt: new Date(resetAt).toISOString() });
+
+/**
+ * Current rate-limit and quota usage of the calling client
+ * GET /api/usage
+ */
+export const getUsage = async (req, res, next) => {
+  try {
+    const clientId = getClientId(req);
+    const { concurrentIngestions } = getLimits();
+    const daily = await getDailyUsage(clientId);
+
+    res.json({
+      success: true,
+      clientId,
+      tenantId: req.tenantId,
+      requestsPerMinute: {
+        query: withIsoReset(await getRequestUsage(clientId, 'query')),
+        upload: withIsoReset(await getRequestUsage(clientId, 'upload'))
+      },
+      concurrentIngestions: {
+        limit: concurrentIngestions || null,
+        active: getActiveIngestions(clientId)
+      },
+      daily: withIsoReset(daily)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
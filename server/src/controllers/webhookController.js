@@ -0,0 +1,97 @@
+import { v4 as uuidv4 } from 'uuid';
+import { AppError } from '../middleware/errorHandler.js';
+import { getWebhookRepository } from '../repositories/webhookRepository.js';
+import { WEBHOOK_EVENTS, generateWebhookSecret } from '../services/webhookService.js';
+
+/**
+ * Webhook as returned to clients; the secret is only shown on creation
+ */
+const toPublicWebhook = ({ secret, ...webhook }) => webhook;
+
+const getWebhookOrThrow = async (webhookId, tenantId) => {
+  const webhook = await getWebhookRepository().get(webhookId, { tenantId });
+
+  if (!webhook) {
+    throw new AppError('Webhook not found', 404, 'WEBHOOK_NOT_FOUND');
+  }
+
+  return webhook;
+};
+
+/**
+ * Register a webhook for document status events
+ * POST /api/webhooks
+ */
+export const createWebhook = async (req, res, next) => {
+  try {
+    const { url, events = WEBHOOK_EVENTS, secret = generateWebhookSecret(), description } = req.body;
+
+    const webhook = await getWebhookRepository().create({
+      webhookId: uuidv4(),
+      tenantId: req.tenantId,
+      url,
+      events: [...new Set(events)],
+      secret,
+      ...(description !== undefined && { description })
+    });
+
+    res.status(201).json({
+      success: true,
+      webhook: { ...toPublicWebhook(webhook), secret }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List registered webhooks
+ * GET /api/webhooks
+ */
+export const listWebhooks = async (req, res, next) => {
+  try {
+    const webhooks = await getWebhookRepository().list({ tenantId: req.tenantId });
+
+    res.json({
+      success: true,
+      webhooks: webhooks.map(toPublicWebhook)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a webhook, including the outcome of its last delivery
+ * GET /api/webhooks/:id
+ */
+export const getWebhook = async (req, res, next) => {
+  try {
+    const webhook = await getWebhookOrThrow(req.params.id, req.tenantId);
+
+    res.json({
+      success: true,
+      webhook: toPublicWebhook(webhook)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a webhook
+ * DELETE /api/webhooks/:id
+ */
+export const deleteWebhook = async (req, res, next) => {
+  try {
+    await getWebhookOrThrow(req.params.id, req.tenantId);
+    await getWebhookRepository().remove(req.params.id);
+
+    res.json({
+      success: true,
+      webhookId: req.params.id
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,153 @@
+import { AppError } from './errorHandler.js';
+import { verifyJwt } from '../utils/jwt.js';
+import { hashText } from '../utils/hash.js';
+import { DEFAULT_TENANT_ID, tenantIdRegex } from '../utils/tenant.js';
+
+// none: no credentials, everything belongs to the default tenant
+export const AUTH_MODES = ['none', 'api-key', 'jwt', 'any'];
+
+let apiKeys = null;
+
+export const getAuthMode = () => {
+  const mode = process.env.AUTH_MODE || 'none';
+  if (!AUTH_MODES.includes(mode)) {
+    throw new Error(`Unknown AUTH_MODE "${mode}" (expected one of: ${AUTH_MODES.join(', ')})`);
+  }
+  return mode;
+};
+
+/**
+ * API keys from API_KEYS ("tenant:key,tenant:key"), indexed by the key's
+ * SHA-256 so lookups don't compare secrets character by character
+ */
+const getApiKeys = () => {
+  if (!apiKeys) {
+    apiKeys = new Map();
+
+    for (const entry of (process.env.API_KEYS || '').split(',').map(item => item.trim()).filter(Boolean)) {
+      const separator = entry.indexOf(':');
+      const tenantId = entry.slice(0, separator);
+      const key = entry.slice(separator + 1);
+
+      if (separator <= 0 || !key || !tenantIdRegex.test(tenantId)) {
+        throw new Error('API_KEYS entries must look like "tenant:key" (tenant: letters, digits, _ or -)');
+      }
+      apiKeys.set(hashText(key), { tenantId, keyId: hashText(key).slice(0, 12) });
+    }
+  }
+
+  return apiKeys;
+};
+
+// Server-Sent Event streams opened with EventSource, which cannot send
+// headers (paths relative to /api)
+const EVENT_STREAM_ROUTES = [/^\/documents\/[^/]+\/events\/?$/];
+
+const isEventStreamRequest = (req) => req.method === 'GET' &&
+  EVENT_STREAM_ROUTES.some(route => route.test(req.path));
+
+/**
+ * The caller's credential: `Authorization: Bearer <token>`, `X-API-Key`,
+ * or, on event-stream routes only, `access_token` in the query string
+ */
+const readCredential = (req) => {
+  const [scheme, value] = (req.get('authorization') || '').split(' ');
+  if (scheme?.toLowerCase() === 'bearer' && value) {
+    return value.trim();
+  }
+
+  if (req.get('x-api-key')) {
+    return req.get('x-api-key').trim();
+  }
+
+  if (isEventStreamRequest(req) && typeof req.query?.access_token === 'string') {
+    return req.query.access_token;
+  }
+
+  return null;
+};
+
+const authenticateApiKey = (credential) => {
+  const match = getApiKeys().get(hashText(credential));
+  return match ? { method: 'api-key', ...match } : null;
+};
+
+// Oldest accepted token issue time in seconds (JWT_MAX_AGE_SECONDS, unset = none)
+const getJwtMaxAge = () => {
+  const parsed = parseInt(process.env.JWT_MAX_AGE_SECONDS, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : undefined;
+};
+
+const authenticateJwt = (credential) => {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('JWT_SECRET environment variable is not set');
+  }
+
+  let payload;
+  try {
+    payload = verifyJwt(credential, secret, {
+      issuer: process.env.JWT_ISSUER || undefined,
+      audience: process.env.JWT_AUDIENCE || undefined,
+      maxAgeSec: getJwtMaxAge()
+    });
+  } catch (error) {
+    throw new AppError(error.message, 401, 'INVALID_TOKEN');
+  }
+
+  const tenantId = payload[process.env.JWT_TENANT_CLAIM || 'tenant'];
+  if (typeof tenantId !== 'string' || !tenantIdRegex.test(tenantId)) {
+    throw new AppError('Token does not name a valid tenant', 401, 'INVALID_TOKEN');
+  }
+
+  return { method: 'jwt', tenantId, subject: payload.sub };
+};
+
+/**
+ * Identify the caller and the tenant it acts for (AUTH_MODE). Sets
+ * `req.auth` ({ method, tenantId, ... }) and `req.tenantId`, which every
+ * handler uses to scope documents, collections, conversations, profiles
+ * and webhooks.
+ */
+export const authenticate = (req, res, next) => {
+  try {
+    const mode = getAuthMode();
+
+    if (mode === 'none') {
+      req.auth = { method: 'none', tenantId: DEFAULT_TENANT_ID };
+      req.tenantId = DEFAULT_TENANT_ID;
+      return next();
+    }
+
+    const credential = readCredential(req);
+    if (!credential) {
+      throw new AppError('Authentication required', 401, 'UNAUTHORIZED');
+    }
+
+    // In `any` mode a known API key wins; otherwise credentials with three
+    // dot-separated parts are verified as JWTs
+    let auth = null;
+
+    if (mode === 'jwt') {
+      auth = authenticateJwt(credential);
+    } else {
+      auth = authenticateApiKey(credential);
+      if (!auth && mode === 'any' && credential.split('.').length === 3) {
+        auth = authenticateJwt(credential);
+      }
+    }
+
+    if (!auth) {
+      throw new AppError('Invalid API key', 401, 'UNAUTHORIZED');
+    }
+
+    req.auth = auth;
+    req.tenantId = auth.tenantId;
+    next();
+  } catch (error) {
+    if (error.statusCode === 401) {
+      res.set('WWW-Authenticate', 'Bearer');
+    }
+    next(error);
+  }
+};
@@ -1,21 +1,21 @@
+import { logger, redactUrl } from '../utils/logger.js';
+
 // Global error handler middleware
 export const errorHandler = (err, req, res, next) => {
-  // Log error for debugging with timestamp and request info
-  const timestamp = new Date().toISOString();
-  console.error(`[${timestamp}] Error occurred:`);
-  console.error('Method:', req.method);
-  console.error('Path:', req.path);
-  console.error('Message:', err.message);
-  console.error('Status:', err.statusCode || 500);
-  console.error('Code:', err.code || 'INTERNAL_ERROR');
-  
-  if (process.env.NODE_ENV === 'development') {
-    console.error('Stack:', err.stack);
-    console.error('Request Body:', JSON.stringify(req.body, null, 2));
-  }
-
-  // Default error status and message
+  // Client errors are expected; anything else is a server failure
   const statusCode = err.statusCode || 500;
+  const level = statusCode >= 500 ? 'error' : 'warn';
+
+  logger[level]('Request failed', {
+    method: req.method,
+    path: req.path,
+    status: statusCode,
+    code: err.code || 'INTERNAL_ERROR',
+    error: err,
+    ...(process.env.NODE_ENV === 'development' && { body: req.body })
+  });
+
+  // Default error message
   const message = err.message || 'Internal Server Error';
 
   // Consistent error response format
@@ -45,7 +45,7 @@ export class AppError extends Error {
 // 404 Not Found handler
 export const notFoundHandler = (req, res, next) => {
   const error = new AppError(
-    `Route ${req.originalUrl} not found`,
+    `Route ${redactUrl(req.originalUrl)} not found`,
     404,
     'ROUTE_NOT_FOUND'
   );
@@ -0,0 +1,143 @@
+import { AppError } from './errorHandler.js';
+import {
+  getClientId,
+  consumeRequest,
+  getDailyUsage,
+  acquireIngestionSlot,
+  checkIngestionCost,
+  chargeIngestionUsage
+} from '../services/quotaService.js';
+import { logger } from '../utils/logger.js';
+
+// Suggested wait when all of a client's ingestion slots are busy
+const INGESTION_RETRY_AFTER_SECONDS = 30;
+
+const secondsUntil = (timestamp) => Math.max(Math.ceil((timestamp - Date.now()) / 1000), 1);
+
+const isExhausted = (quota) => quota.limit !== null && quota.used >= quota.limit;
+
+/**
+ * Limit requests per client and minute for a scope ('query' or 'upload').
+ * Every response carries X-RateLimit-Limit / -Remaining / -Reset (seconds);
+ * over the limit the request fails with 429 RATE_LIMIT_EXCEEDED.
+ */
+export const rateLimit = (scope) => async (req, res, next) => {
+  try {
+    const result = await consumeRequest(getClientId(req), scope);
+    if (!result) {
+      return next();
+    }
+
+    const resetSeconds = secondsUntil(result.resetAt);
+    res.set({
+      'X-RateLimit-Limit': String(result.limit),
+      'X-RateLimit-Remaining': String(result.remaining),
+      'X-RateLimit-Reset': String(resetSeconds)
+    });
+
+    if (!result.allowed) {
+      res.set('Retry-After', String(resetSeconds));
+      throw new AppError(
+        `Rate limit exceeded: ${result.limit} ${scope} requests per minute`,
+        429,
+        'RATE_LIMIT_EXCEEDED'
+      );
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Check the client's daily page and embedding-token quotas and take one of
+ * its concurrent ingestion slots before an upload is accepted. The slot is
+ * given back when the response ends, unless the upload handed it to an
+ * ingestion job (see handOffIngestion).
+ */
+export const ingestionQuota = async (req, res, next) => {
+  try {
+    const clientId = getClientId(req);
+    const daily = await getDailyUsage(clientId);
+
+    const headers = { 'X-Quota-Reset': String(secondsUntil(daily.resetAt)) };
+    if (daily.pages.limit) {
+      headers['X-Quota-Pages-Limit'] = String(daily.pages.limit);
+      headers['X-Quota-Pages-Remaining'] = String(daily.pages.remaining);
+    }
+    if (daily.embeddingTokens.limit) {
+      headers['X-Quota-Tokens-Limit'] = String(daily.embeddingTokens.limit);
+      headers['X-Quota-Tokens-Remaining'] = String(daily.embeddingTokens.remaining);
+    }
+    res.set(headers);
+
+    if (isExhausted(daily.pages) || isExhausted(daily.embeddingTokens)) {
+      res.set('Retry-After', headers['X-Quota-Reset']);
+      throw new AppError('Daily ingestion quota exhausted', 429, 'QUOTA_EXCEEDED');
+    }
+
+    const slot = acquireIngestionSlot(clientId);
+    if (slot.limit) {
+      res.set({
+        'X-Quota-Ingestions-Limit': String(slot.limit),
+        'X-Quota-Ingestions-Remaining': String(Math.max(slot.limit - slot.active, 0))
+      });
+    }
+
+    if (!slot.allowed) {
+      res.set('Retry-After', String(INGESTION_RETRY_AFTER_SECONDS));
+      throw new AppError(
+        `Too many concurrent ingestions (limit ${slot.limit})`,
+        429,
+        'TOO_MANY_INGESTIONS'
+      );
+    }
+
+    req.ingestionSlot = { release: slot.release, handedOff: false };
+    res.on('close', () => {
+      if (!req.ingestionSlot.handedOff) {
+        slot.release();
+      }
+    });
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Daily quota meter for an upload's ingestion job: `check(cost)` throws
+ * when the client's remaining pages or embedding tokens don't cover the
+ * next step, `charge(usage)` records a finished step. Steps are charged as
+ * they complete, so cancelled and failed ingestions pay for what they used.
+ */
+export const meterIngestion = (req) => {
+  const clientId = getClientId(req);
+
+  return {
+    check: async (cost) => {
+      const problem = await checkIngestionCost(clientId, cost);
+      if (problem) {
+        throw new Error(problem);
+      }
+    },
+    charge: (usage) => chargeIngestionUsage(clientId, usage).catch(err => {
+      logger.error('Failed to record ingestion usage', { clientId, error: err });
+    })
+  };
+};
+
+/**
+ * Keep the request's ingestion slot until the job finishes
+ */
+export const handOffIngestion = (req, job) => {
+  const slot = req.ingestionSlot;
+  if (!slot) {
+    return;
+  }
+
+  slot.handedOff = true;
+  job.done.finally(slot.release);
+};
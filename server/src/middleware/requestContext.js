@@ -0,0 +1,59 @@
+import { v4 as uuidv4 } from 'uuid';
+import { logger, runWithLogContext, redactUrl } from '../utils/logger.js';
+import { httpRequestDuration } from '../services/metricsService.js';
+
+// Request IDs accepted from callers (anything else is replaced)
+const requestIdRegex = /^[\w.:-]{1,128}$/;
+
+/**
+ * Metric label for the route that handled a request: the request path
+ * with the route's own segments replaced by its pattern (so IDs don't
+ * become labels). Works after an error too, when Express has already
+ * reset `req.baseUrl`.
+ */
+const routeLabel = (req) => {
+  if (!req.route) {
+    return 'unmatched';
+  }
+
+  const segments = req.originalUrl.split('?')[0].split('/').filter(Boolean);
+  const routeSegments = req.route.path.split('/').filter(Boolean);
+  const prefix = segments.slice(0, segments.length - routeSegments.length);
+
+  return `/${[...prefix, ...routeSegments].join('/')}`;
+};
+
+/**
+ * Give every request a correlation ID: the caller's X-Request-Id when it
+ * looks sane, otherwise a new UUID. It is echoed in the X-Request-Id
+ * response header, attached to every log entry written while handling the
+ * request and handed to the ingestion jobs it starts. Logs each completed
+ * request (credentials in its query string redacted) and records its
+ * latency.
+ */
+export const requestContext = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && requestIdRegex.test(incoming) ? incoming : uuidv4();
+  res.set('X-Request-Id', req.id);
+
+  const endTimer = httpRequestDuration.startTimer({ method: req.method });
+  const start = Date.now();
+
+  res.on('finish', () => {
+    endTimer({ route: routeLabel(req), status: res.statusCode });
+
+    // The query string can carry a credential (`access_token`)
+    const [path, query] = redactUrl(req.originalUrl).split(/\?(.*)/s);
+    logger.info('Request completed', {
+      requestId: req.id,
+      method: req.method,
+      path,
+      ...(query && { query }),
+      status: res.statusCode,
+      durationMs: Date.now() - start,
+      ...(req.tenantId && { tenantId: req.tenantId })
+    });
+  });
+
+  runWithLogContext({ requestId: req.id }, next);
+};
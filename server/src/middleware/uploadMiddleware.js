@@ -1,7 +1,7 @@
 import multer from 'multer';
-import path from 'path';
 import fs from 'fs';
 import { AppError } from './errorHandler.js';
+import { isSupportedUpload, getSupportedExtensions } from '../services/loaderRegistry.js';
 
 // Ensure upload directory exists
 const uploadDir = process.env.UPLOAD_DIR || './uploads';
@@ -22,21 +22,12 @@ const storage = multer.diskStorage({
   }
 });
 
-// File filter - only allow PDF files
+// File filter - only allow extensions (and matching MIME types) of
+// formats a document loader supports; the content is checked after upload
 const fileFilter = (req, file, cb) => {
-  // Check file extension
-  const ext = path.extname(file.originalname).toLowerCase();
-  if (ext !== '.pdf') {
+  if (!isSupportedUpload(file.originalname, file.mimetype)) {
     return cb(
-      new AppError('Only PDF files are allowed', 400, 'INVALID_FILE_TYPE'),
-      false
-    );
-  }
-
-  // Check MIME type
-  if (file.mimetype !== 'application/pdf') {
-    return cb(
-      new AppError('Only PDF files are allowed', 400, 'INVALID_FILE_TYPE'),
+      new AppError(`Unsupported file type. Allowed: ${getSupportedExtensions().join(', ')}`, 400, 'INVALID_FILE_TYPE'),
       false
     );
   }
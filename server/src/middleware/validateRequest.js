@@ -1,4 +1,102 @@
 import { AppError } from './errorHandler.js';
+import { DOCUMENT_SORT_FIELDS, decodeCursor } from '../repositories/documentRepository.js';
+import { RETRIEVAL_MODES } from '../services/retrievalService.js';
+import { getRerankerNames } from '../services/rerankService.js';
+import { OUTPUT_FORMATS } from '../services/promptService.js';
+import { WEBHOOK_EVENTS, checkWebhookUrl } from '../services/webhookService.js';
+
+// Profile names are URL-safe slugs
+export const profileNameRegex = /^[a-z0-9][a-z0-9-]{0,49}$/;
+
+// Basic UUID format validation
+const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Maximum number of documents a single query or request may reference
+const MAX_DOCUMENT_IDS = 100;
+
+/**
+ * Validate an array of document IDs, returning an error message or null
+ */
+const checkDocumentIds = (documentIds, field = 'documentIds') => {
+  if (!Array.isArray(documentIds)) {
+    return `${field} must be an array`;
+  }
+
+  if (documentIds.length === 0) {
+    return `${field} cannot be empty`;
+  }
+
+  if (documentIds.length > MAX_DOCUMENT_IDS) {
+    return `${field} is too long (maximum ${MAX_DOCUMENT_IDS} documents)`;
+  }
+
+  for (let i = 0; i < documentIds.length; i++) {
+    if (typeof documentIds[i] !== 'string' || !uuidRegex.test(documentIds[i])) {
+      return `${field}[${i}] is not a valid document ID`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Validate a question, returning an error message or null
+ */
+const checkQuestion = (question) => {
+  if (!question) {
+    return 'Question is required';
+  }
+
+  if (typeof question !== 'string') {
+    return 'Question must be a string';
+  }
+
+  if (question.trim().length === 0) {
+    return 'Question cannot be empty';
+  }
+
+  if (question.length > 5000) {
+    return 'Question is too long (maximum 5000 characters)';
+  }
+
+  return null;
+};
+
+/**
+ * Validate per-request retrieval options, returning an error message or null
+ */
+const checkRetrievalOptions = (retrieval) => {
+  if (!retrieval || typeof retrieval !== 'object' || Array.isArray(retrieval)) {
+    return 'Retrieval options must be an object';
+  }
+
+  const { mode, topK, candidates, reranker, mmrLambda, minScore, maxSimilarity } = retrieval;
+
+  if (mode !== undefined && !RETRIEVAL_MODES.includes(mode)) {
+    return `Retrieval mode must be one of: ${RETRIEVAL_MODES.join(', ')}`;
+  }
+
+  if (topK !== undefined && (!Number.isInteger(topK) || topK < 1 || topK > 50)) {
+    return 'topK must be an integer between 1 and 50';
+  }
+
+  if (candidates !== undefined && (!Number.isInteger(candidates) || candidates < 1 || candidates > 200)) {
+    return 'candidates must be an integer between 1 and 200';
+  }
+
+  if (reranker !== undefined && !getRerankerNames().includes(reranker)) {
+    return `Reranker must be one of: ${getRerankerNames().join(', ')}`;
+  }
+
+  const fractions = { mmrLambda, minScore, maxSimilarity };
+  for (const [name, value] of Object.entries(fractions)) {
+    if (value !== undefined && (typeof value !== 'number' || value < 0 || value > 1)) {
+      return `${name} must be a number between 0 and 1`;
+    }
+  }
+
+  return null;
+};
 
 // Middleware to validate required fields in request body
 export const validateFields = (requiredFields) => {
@@ -35,8 +133,6 @@ export const validateDocumentId = (req, res, next) => {
     );
   }
 
-  // Basic UUID format validation
-  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
   if (!uuidRegex.test(documentId)) {
     return next(
       new AppError('Invalid document ID format', 400, 'VALIDATION_ERROR')
@@ -46,53 +142,138 @@ export const validateDocumentId = (req, res, next) => {
   next();
 };
 
+// Middleware factory to validate a UUID route parameter
+export const validateUuidParam = (param, label) => {
+  return (req, res, next) => {
+    const value = req.params[param];
+
+    if (!value || !uuidRegex.test(value)) {
+      return next(
+        new AppError(`Invalid ${label} ID format`, 400, 'VALIDATION_ERROR')
+      );
+    }
+
+    next();
+  };
+};
+
+/**
+ * Validate a rolling history summary sent back by a client (`historySummary`
+ * from an earlier answer), returning an error message or null
+ */
+const checkHistorySummary = (summary, history = []) => {
+  if (!summary || typeof summary !== 'object' || Array.isArray(summary)) {
+    return 'historySummary must be an object';
+  }
+
+  if (typeof summary.text !== 'string' || summary.text.length > 20000) {
+    return 'historySummary.text must be a string of at most 20000 characters';
+  }
+
+  if (!Number.isInteger(summary.messageCount) || summary.messageCount < 1 || summary.messageCount > history.length) {
+    return 'historySummary.messageCount must be an integer between 1 and the number of history messages';
+  }
+
+  return null;
+};
+
+/**
+ * Validate per-request context budget options, returning an error message or null
+ */
+const checkContextOptions = (context) => {
+  if (!context || typeof context !== 'object' || Array.isArray(context)) {
+    return 'Context options must be an object';
+  }
+
+  const { maxTokens, historyTokens } = context;
+
+  if (maxTokens !== undefined && (!Number.isInteger(maxTokens) || maxTokens < 500 || maxTokens > 1000000)) {
+    return 'maxTokens must be an integer between 500 and 1000000';
+  }
+
+  if (historyTokens !== undefined && (!Number.isInteger(historyTokens) || historyTokens < 0 || historyTokens > (maxTokens ?? 1000000))) {
+    return 'historyTokens must be a non-negative integer no larger than maxTokens';
+  }
+
+  return null;
+};
+
 // Middleware to validate query request
 export const validateQueryRequest = (req, res, next) => {
-  const { documentId, question, history } = req.body;
+  const { documentId, documentIds, collectionId, question, history, historySummary, retrieval, context, profile } = req.body;
 
-  // Validate documentId
-  if (!documentId) {
+  // Exactly one query target: a document, a list of documents or a collection
+  const targets = [documentId, documentIds, collectionId].filter(target => target !== undefined);
+  if (targets.length === 0) {
     return next(
-      new AppError('Document ID is required', 400, 'VALIDATION_ERROR')
+      new AppError('Document ID is required (documentId, documentIds or collectionId)', 400, 'VALIDATION_ERROR')
     );
   }
 
-  if (typeof documentId !== 'string') {
+  if (targets.length > 1) {
     return next(
-      new AppError('Document ID must be a string', 400, 'VALIDATION_ERROR')
+      new AppError('Provide only one of documentId, documentIds or collectionId', 400, 'VALIDATION_ERROR')
     );
   }
 
-  // Basic UUID format validation
-  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
-  if (!uuidRegex.test(documentId)) {
-    return next(
-      new AppError('Invalid document ID format', 400, 'VALIDATION_ERROR')
-    );
+  // Validate documentId
+  if (documentId !== undefined) {
+    if (typeof documentId !== 'string') {
+      return next(
+        new AppError('Document ID must be a string', 400, 'VALIDATION_ERROR')
+      );
+    }
+
+    if (!uuidRegex.test(documentId)) {
+      return next(
+        new AppError('Invalid document ID format', 400, 'VALIDATION_ERROR')
+      );
+    }
+  }
+
+  // Validate documentIds
+  if (documentIds !== undefined) {
+    const documentIdsError = checkDocumentIds(documentIds);
+    if (documentIdsError) {
+      return next(new AppError(documentIdsError, 400, 'VALIDATION_ERROR'));
+    }
+  }
+
+  // Validate collectionId
+  if (collectionId !== undefined) {
+    if (typeof collectionId !== 'string' || !uuidRegex.test(collectionId)) {
+      return next(
+        new AppError('Invalid collection ID format', 400, 'VALIDATION_ERROR')
+      );
+    }
   }
 
   // Validate question
-  if (!question) {
-    return next(
-      new AppError('Question is required', 400, 'VALIDATION_ERROR')
-    );
+  const questionError = checkQuestion(question);
+  if (questionError) {
+    return next(new AppError(questionError, 400, 'VALIDATION_ERROR'));
   }
 
-  if (typeof question !== 'string') {
-    return next(
-      new AppError('Question must be a string', 400, 'VALIDATION_ERROR')
-    );
+  // Validate retrieval options if provided
+  if (retrieval !== undefined) {
+    const retrievalError = checkRetrievalOptions(retrieval);
+    if (retrievalError) {
+      return next(new AppError(retrievalError, 400, 'VALIDATION_ERROR'));
+    }
   }
 
-  if (question.trim().length === 0) {
-    return next(
-      new AppError('Question cannot be empty', 400, 'VALIDATION_ERROR')
-    );
+  // Validate context budget options if provided
+  if (context !== undefined) {
+    const contextError = checkContextOptions(context);
+    if (contextError) {
+      return next(new AppError(contextError, 400, 'VALIDATION_ERROR'));
+    }
   }
 
-  if (question.length > 5000) {
+  // Validate profile name if provided
+  if (profile !== undefined && (typeof profile !== 'string' || !profileNameRegex.test(profile))) {
     return next(
-      new AppError('Question is too long (maximum 5000 characters)', 400, 'VALIDATION_ERROR')
+      new AppError('Invalid profile name', 400, 'VALIDATION_ERROR')
     );
   }
 
@@ -141,5 +322,263 @@ export const validateQueryRequest = (req, res, next) => {
     }
   }
 
+  // Validate the rolling summary of the oldest history messages if provided
+  if (historySummary !== undefined) {
+    const summaryError = checkHistorySummary(historySummary, Array.isArray(history) ? history : []);
+    if (summaryError) {
+      return next(new AppError(summaryError, 400, 'VALIDATION_ERROR'));
+    }
+  }
+
+  next();
+};
+
+// Middleware to validate collection create/update requests
+export const validateCollectionRequest = (req, res, next) => {
+  const { name, description, documentIds } = req.body;
+
+  if (!name || typeof name !== 'string' || name.trim().length === 0) {
+    return next(
+      new AppError('Collection name is required', 400, 'VALIDATION_ERROR')
+    );
+  }
+
+  if (name.length > 200) {
+    return next(
+      new AppError('Collection name is too long (maximum 200 characters)', 400, 'VALIDATION_ERROR')
+    );
+  }
+
+  if (description !== undefined && (typeof description !== 'string' || description.length > 2000)) {
+    return next(
+      new AppError('Description must be a string of at most 2000 characters', 400, 'VALIDATION_ERROR')
+    );
+  }
+
+  // An empty list is fine here: collections may start out empty
+  if (documentIds !== undefined && !(Array.isArray(documentIds) && documentIds.length === 0)) {
+    const documentIdsError = checkDocumentIds(documentIds);
+    if (documentIdsError) {
+      return next(new AppError(documentIdsError, 400, 'VALIDATION_ERROR'));
+    }
+  }
+
+  next();
+};
+
+// Middleware to validate a list of document IDs in the request body
+export const validateDocumentIdList = (req, res, next) => {
+  const documentIdsError = checkDocumentIds(req.body.documentIds);
+  if (documentIdsError) {
+    return next(new AppError(documentIdsError, 400, 'VALIDATION_ERROR'));
+  }
+
+  next();
+};
+
+// Middleware to validate and normalize document listing query parameters.
+// The parsed options are stored on req.listOptions.
+export const validateListDocumentsQuery = (req, res, next) => {
+  const { status, search, sortBy = 'uploadDate', order = 'desc', limit = '20', cursor } = req.query;
+
+  if (status !== undefined && !['processing', 'ready', 'failed'].includes(status)) {
+    return next(
+      new AppError("Status must be 'processing', 'ready' or 'failed'", 400, 'VALIDATION_ERROR')
+    );
+  }
+
+  if (search !== undefined && (typeof search !== 'string' || search.length > 200)) {
+    return next(
+      new AppError('Search must be a string of at most 200 characters', 400, 'VALIDATION_ERROR')
+    );
+  }
+
+  if (!DOCUMENT_SORT_FIELDS.includes(sortBy)) {
+    return next(
+      new AppError(`sortBy must be one of: ${DOCUMENT_SORT_FIELDS.join(', ')}`, 400, 'VALIDATION_ERROR')
+    );
+  }
+
+  if (order !== 'asc' && order !== 'desc') {
+    return next(
+      new AppError("Order must be 'asc' or 'desc'", 400, 'VALIDATION_ERROR')
+    );
+  }
+
+  const parsedLimit = Number(limit);
+  if (!Number.isInteger(parsedLimit) || parsedLimit < 1 || parsedLimit > 100) {
+    return next(
+      new AppError('Limit must be an integer between 1 and 100', 400, 'VALIDATION_ERROR')
+    );
+  }
+
+  let parsedCursor;
+  if (cursor !== undefined) {
+    parsedCursor = typeof cursor === 'string' ? decodeCursor(cursor) : null;
+    if (!parsedCursor) {
+      return next(
+        new AppError('Invalid cursor', 400, 'VALIDATION_ERROR')
+      );
+    }
+    // A cursor only points into the ordering it was issued for
+    if (parsedCursor.sortBy !== sortBy || parsedCursor.order !== order) {
+      return next(
+        new AppError('Cursor does not match sortBy and order; list again without a cursor', 400, 'VALIDATION_ERROR')
+      );
+    }
+  }
+
+  req.listOptions = {
+    status,
+    search: search || undefined,
+    sortBy,
+    order,
+    limit: parsedLimit,
+    cursor: parsedCursor
+  };
+
+  next();
+};
+
+// Middleware to validate the :name parameter of profile routes
+export const validateProfileName = (req, res, next) => {
+  if (!profileNameRegex.test(req.params.name)) {
+    return next(
+      new AppError('Invalid profile name', 400, 'VALIDATION_ERROR')
+    );
+  }
+
+  next();
+};
+
+// Middleware factory to validate prompt profile bodies. With requireAll the
+// name and system instruction must be present (creating a profile).
+export const validateProfileRequest = ({ requireAll }) => {
+  return (req, res, next) => {
+    const { name, description, systemInstruction, answerStyle, temperature, outputFormat, rewriteInstruction } = req.body;
+
+    if (requireAll) {
+      if (typeof name !== 'string' || !profileNameRegex.test(name)) {
+        return next(
+          new AppError('Profile name must be lowercase letters, digits and dashes (maximum 50 characters)', 400, 'VALIDATION_ERROR')
+        );
+      }
+
+      if (systemInstruction === undefined) {
+        return next(
+          new AppError('systemInstruction is required', 400, 'VALIDATION_ERROR')
+        );
+      }
+    }
+
+    const texts = { description, systemInstruction, answerStyle, rewriteInstruction };
+    for (const [field, value] of Object.entries(texts)) {
+      if (value !== undefined && (typeof value !== 'string' || value.length > 5000)) {
+        return next(
+          new AppError(`${field} must be a string of at most 5000 characters`, 400, 'VALIDATION_ERROR')
+        );
+      }
+    }
+
+    if (systemInstruction !== undefined && systemInstruction.trim().length === 0) {
+      return next(
+        new AppError('systemInstruction cannot be empty', 400, 'VALIDATION_ERROR')
+      );
+    }
+
+    if (temperature !== undefined && (typeof temperature !== 'number' || temperature < 0 || temperature > 2)) {
+      return next(
+        new AppError('Temperature must be a number between 0 and 2', 400, 'VALIDATION_ERROR')
+      );
+    }
+
+    if (outputFormat !== undefined && !Object.keys(OUTPUT_FORMATS).includes(outputFormat)) {
+      return next(
+        new AppError(`outputFormat must be one of: ${Object.keys(OUTPUT_FORMATS).join(', ')}`, 400, 'VALIDATION_ERROR')
+      );
+    }
+
+    next();
+  };
+};
+
+// Middleware to validate conversation creation
+export const validateConversationRequest = (req, res, next) => {
+  const { documentId, profile } = req.body;
+
+  if (!documentId || typeof documentId !== 'string' || !uuidRegex.test(documentId)) {
+    return next(
+      new AppError('A valid document ID is required', 400, 'VALIDATION_ERROR')
+    );
+  }
+
+  if (profile !== undefined && (typeof profile !== 'string' || !profileNameRegex.test(profile))) {
+    return next(
+      new AppError('Invalid profile name', 400, 'VALIDATION_ERROR')
+    );
+  }
+
+  next();
+};
+
+// Middleware to validate a question posted to a conversation
+export const validateConversationMessage = (req, res, next) => {
+  const { question, retrieval, context } = req.body;
+
+  const questionError = checkQuestion(question);
+  if (questionError) {
+    return next(new AppError(questionError, 400, 'VALIDATION_ERROR'));
+  }
+
+  if (retrieval !== undefined) {
+    const retrievalError = checkRetrievalOptions(retrieval);
+    if (retrievalError) {
+      return next(new AppError(retrievalError, 400, 'VALIDATION_ERROR'));
+    }
+  }
+
+  // Validate context budget options if provided
+  if (context !== undefined) {
+    const contextError = checkContextOptions(context);
+    if (contextError) {
+      return next(new AppError(contextError, 400, 'VALIDATION_ERROR'));
+    }
+  }
+
+  next();
+};
+
+// Middleware to validate a webhook registration
+export const validateWebhookRequest = (req, res, next) => {
+  const { url, events, secret, description } = req.body;
+
+  // Also rejects hosts on the server's own network (SSRF)
+  const urlError = checkWebhookUrl(url);
+  if (urlError) {
+    return next(new AppError(urlError, 400, 'VALIDATION_ERROR'));
+  }
+
+  if (events !== undefined && (
+    !Array.isArray(events) ||
+    events.length === 0 ||
+    !events.every(event => WEBHOOK_EVENTS.includes(event))
+  )) {
+    return next(
+      new AppError(`events must be a non-empty array of: ${WEBHOOK_EVENTS.join(', ')}`, 400, 'VALIDATION_ERROR')
+    );
+  }
+
+  if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16 || secret.length > 256)) {
+    return next(
+      new AppError('Secret must be a string of 16 to 256 characters', 400, 'VALIDATION_ERROR')
+    );
+  }
+
+  if (description !== undefined && (typeof description !== 'string' || description.length > 2000)) {
+    return next(
+      new AppError('Description must be a string of at most 2000 characters', 400, 'VALIDATION_ERROR')
+    );
+  }
+
   next();
 };
@@ -0,0 +1,115 @@
+import { createMetadataStore } from '../utils/jsonFileStore.js';
+import { belongsToTenant } from '../utils/tenant.js';
+
+let collectionRepository = null;
+
+const now = () => new Date().toISOString();
+
+/**
+ * Create a collection repository on top of a store ({ read, save }).
+ * A collection is a named set of document IDs that can be queried together.
+ * Reads take an optional `tenantId` to hide other tenants' collections.
+ */
+export const createCollectionRepository = (store) => {
+  const collections = () => store.read();
+
+  const create = async (collection) => {
+    const timestamp = now();
+    const record = {
+      description: '',
+      ...collection,
+      documentIds: [...new Set(collection.documentIds || [])],
+      createdAt: timestamp,
+      updatedAt: timestamp
+    };
+
+    collections()[record.collectionId] = record;
+    await store.save();
+    return record;
+  };
+
+  const get = async (collectionId, { tenantId } = {}) => {
+    const collection = collections()[collectionId];
+    return collection && belongsToTenant(collection, tenantId) ? collection : null;
+  };
+
+  const list = async ({ tenantId } = {}) => Object.values(collections())
+    .filter(collection => belongsToTenant(collection, tenantId));
+
+  const update = async (collectionId, changes) => {
+    const existing = collections()[collectionId];
+    if (!existing) {
+      return null;
+    }
+
+    const record = { ...existing, ...changes, updatedAt: now() };
+    collections()[collectionId] = record;
+    await store.save();
+    return record;
+  };
+
+  const addDocuments = async (collectionId, documentIds) => {
+    const existing = collections()[collectionId];
+    if (!existing) {
+      return null;
+    }
+
+    return update(collectionId, {
+      documentIds: [...new Set([...existing.documentIds, ...documentIds])]
+    });
+  };
+
+  const removeDocuments = async (collectionId, documentIds) => {
+    const existing = collections()[collectionId];
+    if (!existing) {
+      return null;
+    }
+
+    const removed = new Set(documentIds);
+    return update(collectionId, {
+      documentIds: existing.documentIds.filter(id => !removed.has(id))
+    });
+  };
+
+  /**
+   * Remove a document from every collection that contains it
+   */
+  const removeDocumentEverywhere = async (documentId) => {
+    let changed = 0;
+    for (const collection of Object.values(collections())) {
+      if (collection.documentIds.includes(documentId)) {
+        collection.documentIds = collection.documentIds.filter(id => id !== documentId);
+        collection.updatedAt = now();
+        changed++;
+      }
+    }
+
+    if (changed > 0) {
+      await store.save();
+    }
+    return changed;
+  };
+
+  const remove = async (collectionId) => {
+    if (!collections()[collectionId]) {
+      return false;
+    }
+
+    delete collections()[collectionId];
+    await store.save();
+    return true;
+  };
+
+  return { create, get, list, update, addDocuments, removeDocuments, removeDocumentEverywhere, remove };
+};
+
+/**
+ * Get the configured collection repository (same backend as documents)
+ */
+export const getCollectionRepository = () => {
+  if (!collectionRepository) {
+    collectionRepository = createCollectionRepository(createMetadataStore('collections.json'));
+  }
+
+  return collectionRepository;
+};
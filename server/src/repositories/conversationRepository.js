@@ -0,0 +1,111 @@
+import { v4 as uuidv4 } from 'uuid';
+import { createMetadataStore } from '../utils/jsonFileStore.js';
+import { belongsToTenant } from '../utils/tenant.js';
+
+let conversationRepository = null;
+
+const now = () => new Date().toISOString();
+
+/**
+ * Create a conversation repository on top of a store ({ read, save }).
+ * A conversation is bound to a document and holds its ordered messages.
+ */
+export const createConversationRepository = (store) => {
+  const conversations = () => store.read();
+
+  const create = async (conversation) => {
+    const timestamp = now();
+    const record = {
+      ...conversation,
+      messages: [],
+      createdAt: timestamp,
+      updatedAt: timestamp
+    };
+
+    conversations()[record.conversationId] = record;
+    await store.save();
+    return record;
+  };
+
+  /**
+   * Get a conversation; with a `tenantId`, other tenants' are treated as missing
+   */
+  const get = async (conversationId, { tenantId } = {}) => {
+    const conversation = conversations()[conversationId];
+    return conversation && belongsToTenant(conversation, tenantId) ? conversation : null;
+  };
+
+  /**
+   * Append messages to a conversation, assigning IDs and timestamps
+   */
+  const appendMessages = async (conversationId, messages) => {
+    const conversation = conversations()[conversationId];
+    if (!conversation) {
+      return null;
+    }
+
+    const appended = messages.map(message => ({
+      messageId: uuidv4(),
+      timestamp: now(),
+      ...message
+    }));
+
+    conversation.messages.push(...appended);
+    conversation.updatedAt = now();
+    await store.save();
+    return appended;
+  };
+
+  /**
+   * Store the rolling summary of the conversation's oldest messages
+   * ({ text, messageCount })
+   */
+  const setSummary = async (conversationId, summary) => {
+    const conversation = conversations()[conversationId];
+    if (!conversation) {
+      return null;
+    }
+
+    conversation.historySummary = { ...summary, updatedAt: now() };
+    conversation.updatedAt = now();
+    await store.save();
+    return conversation.historySummary;
+  };
+
+  const clearMessages = async (conversationId) => {
+    const conversation = conversations()[conversationId];
+    if (!conversation) {
+      return null;
+    }
+
+    const removed = conversation.messages.length;
+    conversation.messages = [];
+    delete conversation.historySummary;
+    conversation.updatedAt = now();
+    await store.save();
+    return removed;
+  };
+
+  const remove = async (conversationId) => {
+    if (!conversations()[conversationId]) {
+      return false;
+    }
+
+    delete conversations()[conversationId];
+    await store.save();
+    return true;
+  };
+
+  return { create, get, appendMessages, setSummary, clearMessages, remove };
+};
+
+/**
+ * Get the configured conversation repository (same backend as documents)
+ */
+export const getConversationRepository = () => {
+  if (!conversationRepository) {
+    conversationRepository = createConversationRepository(createMetadataStore('conversations.json'));
+  }
+
+  return conversationRepository;
+};
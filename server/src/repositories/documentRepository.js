@@ -0,0 +1,213 @@
+import { createMetadataStore } from '../utils/jsonFileStore.js';
+import { belongsToTenant } from '../utils/tenant.js';
+
+let documentRepository = null;
+
+// Cap the per-document histories so a flapping document cannot grow unbounded
+const MAX_HISTORY_ENTRIES = 50;
+
+const now = () => new Date().toISOString();
+
+const appendCapped = (list = [], entry) => [...list, entry].slice(-MAX_HISTORY_ENTRIES);
+
+// Fields documents can be sorted by when listing
+export const DOCUMENT_SORT_FIELDS = ['uploadDate', 'fileSize'];
+
+export const encodeCursor = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+export const decodeCursor = (cursor) => {
+  try {
+    const value = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return value && typeof value === 'object' && typeof value.id === 'string' ? value : null;
+  } catch {
+    return null;
+  }
+};
+
+const compareValues = (a, b) => {
+  if (a === b) {
+    return 0;
+  }
+  return a < b ? -1 : 1;
+};
+
+/**
+ * Create a document repository on top of a store ({ read, save }).
+ * All methods are async so the backing store can be swapped for a real
+ * database without touching the callers. Reads take an optional
+ * `tenantId`: documents of other tenants are then treated as missing.
+ */
+export const createDocumentRepository = (store) => {
+  const documents = () => store.read();
+
+  const create = async (document) => {
+    const timestamp = now();
+    const record = {
+      ...document,
+      uploadDate: document.uploadDate || timestamp,
+      status: document.status || 'processing',
+      statusHistory: [{ status: document.status || 'processing', at: timestamp }],
+      errors: [],
+      processingStartedAt: timestamp,
+      processingCompletedAt: null,
+      updatedAt: timestamp
+    };
+
+    documents()[record.documentId] = record;
+    await store.save();
+    return record;
+  };
+
+  const get = async (documentId, { tenantId } = {}) => {
+    const document = documents()[documentId];
+    return document && belongsToTenant(document, tenantId) ? document : null;
+  };
+
+  const list = async ({ tenantId } = {}) => Object.values(documents()).filter(doc => belongsToTenant(doc, tenantId));
+
+  /**
+   * List documents with filtering, sorting and cursor pagination.
+   * The cursor encodes the sort value and ID of the last document returned,
+   * so pages stay stable while documents are added or removed, along with
+   * the `sortBy` and `order` it was issued for; callers must only pass it
+   * back with the same ones.
+   */
+  const query = async ({ tenantId, status, search, sortBy = 'uploadDate', order = 'desc', limit = 20, cursor } = {}) => {
+    const direction = order === 'asc' ? 1 : -1;
+    const needle = search ? search.toLowerCase() : null;
+
+    const compare = (a, b) => direction * (
+      compareValues(a[sortBy] ?? 0, b[sortBy] ?? 0) || compareValues(a.documentId, b.documentId)
+    );
+
+    let matches = Object.values(documents())
+      .filter(doc => belongsToTenant(doc, tenantId))
+      .filter(doc => !status || doc.status === status)
+      .filter(doc => !needle || (doc.fileName || '').toLowerCase().includes(needle))
+      .sort(compare);
+
+    const total = matches.length;
+
+    if (cursor) {
+      const after = { [sortBy]: cursor.value, documentId: cursor.id };
+      matches = matches.filter(doc => compare(doc, after) > 0);
+    }
+
+    const page = matches.slice(0, limit);
+    const hasMore = matches.length > limit;
+    const last = page[page.length - 1];
+
+    return {
+      documents: page,
+      total,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor({ value: last[sortBy] ?? 0, id: last.documentId, sortBy, order }) : null
+    };
+  };
+
+  /**
+   * Most recently uploaded document with the given content hash, optionally
+   * restricted to one status and tenant and to documents passing `where`
+   */
+  const findByContentHash = async (contentHash, { status, tenantId, where } = {}) => {
+    const matches = Object.values(documents())
+      .filter(doc => doc.contentHash === contentHash)
+      .filter(doc => belongsToTenant(doc, tenantId))
+      .filter(doc => !status || doc.status === status)
+      .filter(doc => !where || where(doc))
+      .sort((a, b) => compareValues(b.uploadDate, a.uploadDate));
+
+    return matches[0] || null;
+  };
+
+  const update = async (documentId, changes) => {
+    const existing = documents()[documentId];
+    if (!existing) {
+      return null;
+    }
+
+    const record = { ...existing, ...changes, updatedAt: now() };
+    documents()[documentId] = record;
+    await store.save();
+    return record;
+  };
+
+  /**
+   * Move a document to a new status, recording the transition, any error
+   * and the processing timestamps. Deleted and cancelled documents stay as
+   * they are (returns null).
+   */
+  const setStatus = async (documentId, status, details = {}) => {
+    const existing = documents()[documentId];
+    if (!existing || existing.cancelled) {
+      return null;
+    }
+
+    const timestamp = now();
+    const { error, ...fields } = details;
+    const changes = {
+      ...fields,
+      status,
+      statusHistory: appendCapped(existing.statusHistory, { status, at: timestamp })
+    };
+
+    if (status === 'processing') {
+      changes.processingStartedAt = timestamp;
+      changes.processingCompletedAt = null;
+    } else if (status === 'ready' || status === 'failed') {
+      changes.processingCompletedAt = timestamp;
+    }
+
+    if (error) {
+      changes.error = error;
+      changes.errors = appendCapped(existing.errors, { message: error, status, at: timestamp });
+    } else if (status === 'ready') {
+      changes.error = undefined;
+    }
+
+    return update(documentId, changes);
+  };
+
+  const remove = async (documentId) => {
+    if (!documents()[documentId]) {
+      return false;
+    }
+
+    delete documents()[documentId];
+    await store.save();
+    return true;
+  };
+
+  /**
+   * Mark documents left in `processing` by a previous run as failed, since
+   * their background job died with the old process. Returns the updated
+   * documents.
+   */
+  const recoverInterrupted = async () => {
+    const interrupted = Object.values(documents()).filter(doc => doc.status === 'processing');
+    const recovered = [];
+    for (const doc of interrupted) {
+      const updated = await setStatus(doc.documentId, 'failed', {
+        error: 'Processing was interrupted by a server restart'
+      });
+      if (updated) {
+        recovered.push(updated);
+      }
+    }
+    return recovered;
+  };
+
+  return { create, get, list, query, findByContentHash, update, setStatus, remove, recoverInterrupted };
+};
+
+/**
+ * Get the configured document repository.
+ * DOCUMENT_STORE selects the backend: 'file' (default) or 'memory'.
+ */
+export const getDocumentRepository = () => {
+  if (!documentRepository) {
+    documentRepository = createDocumentRepository(createMetadataStore('documents.json'));
+  }
+
+  return documentRepository;
+};
@@ -0,0 +1,67 @@
+import { createMetadataStore } from '../utils/jsonFileStore.js';
+import { DEFAULT_TENANT_ID, belongsToTenant } from '../utils/tenant.js';
+
+let profileRepository = null;
+
+const now = () => new Date().toISOString();
+
+/**
+ * Storage key of a profile: its name, prefixed with the owning tenant
+ * (default-tenant profiles keep their bare name)
+ */
+const profileKey = (name, tenantId) => (
+  !tenantId || tenantId === DEFAULT_TENANT_ID ? name : `${tenantId}/${name}`
+);
+
+/**
+ * Create a repository for custom prompt profiles on top of a store
+ * ({ read, save }). Profile names are unique per tenant.
+ */
+export const createProfileRepository = (store) => {
+  const profiles = () => store.read();
+
+  const get = async (name, { tenantId } = {}) => profiles()[profileKey(name, tenantId)] || null;
+
+  const list = async ({ tenantId } = {}) => Object.values(profiles())
+    .filter(profile => belongsToTenant(profile, tenantId));
+
+  const save = async (profile) => {
+    const key = profileKey(profile.name, profile.tenantId);
+    const existing = profiles()[key];
+    const timestamp = now();
+    const record = {
+      ...existing,
+      ...profile,
+      createdAt: existing?.createdAt || timestamp,
+      updatedAt: timestamp
+    };
+
+    profiles()[key] = record;
+    await store.save();
+    return record;
+  };
+
+  const remove = async (name, { tenantId } = {}) => {
+    const key = profileKey(name, tenantId);
+    if (!profiles()[key]) {
+      return false;
+    }
+
+    delete profiles()[key];
+    await store.save();
+    return true;
+  };
+
+  return { get, list, save, remove };
+};
+
+/**
+ * Get the configured profile repository (same backend as documents)
+ */
+export const getProfileRepository = () => {
+  if (!profileRepository) {
+    profileRepository = createProfileRepository(createMetadataStore('profiles.json'));
+  }
+
+  return profileRepository;
+};
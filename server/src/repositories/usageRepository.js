@@ -0,0 +1,64 @@
+import { createJsonFileStore, createMemoryStore } from '../utils/jsonFileStore.js';
+
+let usageRepository = null;
+
+/**
+ * Create a repository of expiring usage counters (rate-limit windows and
+ * daily quotas) on top of a store ({ read, save }). Each counter carries
+ * the time it expires at; expired counters read as zero and are pruned.
+ */
+export const createUsageRepository = (store) => {
+  const counters = () => store.read();
+
+  const prune = (now) => {
+    for (const [key, counter] of Object.entries(counters())) {
+      if (counter.expiresAt <= now) {
+        delete counters()[key];
+      }
+    }
+  };
+
+  const get = async (key) => {
+    const counter = counters()[key];
+    return counter && counter.expiresAt > Date.now() ? counter.count : 0;
+  };
+
+  /**
+   * Add `amount` to a counter, starting it if missing or expired.
+   * Resolves to the new count.
+   */
+  const increment = async (key, amount, expiresAt) => {
+    const now = Date.now();
+    prune(now);
+
+    const counter = counters()[key] || { count: 0, expiresAt };
+    counter.count += amount;
+    counters()[key] = counter;
+
+    await store.save();
+    return counter.count;
+  };
+
+  return { get, increment };
+};
+
+/**
+ * Get the usage repository selected by RATE_LIMIT_STORE: 'memory'
+ * (default, per process) or 'file' (`${DATA_DIR}/usage.json`, survives
+ * restarts)
+ */
+export const getUsageRepository = () => {
+  if (!usageRepository) {
+    const backend = process.env.RATE_LIMIT_STORE || 'memory';
+
+    if (backend === 'memory') {
+      usageRepository = createUsageRepository(createMemoryStore());
+    } else if (backend === 'file') {
+      usageRepository = createUsageRepository(createJsonFileStore('usage.json'));
+    } else {
+      throw new Error(`Unknown RATE_LIMIT_STORE "${backend}" (expected "memory" or "file")`);
+    }
+  }
+
+  return usageRepository;
+};
@@ -0,0 +1,72 @@
+import { createMetadataStore } from '../utils/jsonFileStore.js';
+import { belongsToTenant } from '../utils/tenant.js';
+
+let webhookRepository = null;
+
+const now = () => new Date().toISOString();
+
+/**
+ * Create a repository for outgoing webhook registrations on top of a store
+ * ({ read, save }). Reads take an optional `tenantId` to only see that
+ * tenant's webhooks.
+ */
+export const createWebhookRepository = (store) => {
+  const webhooks = () => store.read();
+
+  const create = async (webhook) => {
+    const timestamp = now();
+    const record = {
+      ...webhook,
+      lastDelivery: null,
+      createdAt: timestamp,
+      updatedAt: timestamp
+    };
+
+    webhooks()[record.webhookId] = record;
+    await store.save();
+    return record;
+  };
+
+  const get = async (webhookId, { tenantId } = {}) => {
+    const webhook = webhooks()[webhookId];
+    return webhook && belongsToTenant(webhook, tenantId) ? webhook : null;
+  };
+
+  const list = async ({ tenantId } = {}) => Object.values(webhooks())
+    .filter(webhook => belongsToTenant(webhook, tenantId));
+
+  const update = async (webhookId, changes) => {
+    const existing = webhooks()[webhookId];
+    if (!existing) {
+      return null;
+    }
+
+    const record = { ...existing, ...changes, updatedAt: now() };
+    webhooks()[webhookId] = record;
+    await store.save();
+    return record;
+  };
+
+  const remove = async (webhookId) => {
+    if (!webhooks()[webhookId]) {
+      return false;
+    }
+
+    delete webhooks()[webhookId];
+    await store.save();
+    return true;
+  };
+
+  return { create, get, list, update, remove };
+};
+
+/**
+ * Get the configured webhook repository (same backend as documents)
+ */
+export const getWebhookRepository = () => {
+  if (!webhookRepository) {
+    webhookRepository = createWebhookRepository(createMetadataStore('webhooks.json'));
+  }
+
+  return webhookRepository;
+};
@@ -0,0 +1,61 @@
+import express from 'express';
+import {
+  createCollection,
+  listCollections,
+  getCollection,
+  deleteCollection,
+  addCollectionDocuments,
+  removeCollectionDocument
+} from '../controllers/collectionController.js';
+import {
+  validateCollectionRequest,
+  validateDocumentIdList,
+  validateUuidParam
+} from '../middleware/validateRequest.js';
+
+const router = express.Router();
+
+const validateCollectionId = validateUuidParam('id', 'collection');
+
+/**
+ * POST /api/collections
+ * Create a named collection of documents
+ */
+router.post('/', validateCollectionRequest, createCollection);
+
+/**
+ * GET /api/collections
+ * List all collections
+ */
+router.get('/', listCollections);
+
+/**
+ * GET /api/collections/:id
+ * Get a collection and its member document IDs
+ */
+router.get('/:id', validateCollectionId, getCollection);
+
+/**
+ * DELETE /api/collections/:id
+ * Delete a collection (member documents are kept)
+ */
+router.delete('/:id', validateCollectionId, deleteCollection);
+
+/**
+ * POST /api/collections/:id/documents
+ * Add documents to a collection
+ */
+router.post('/:id/documents', validateCollectionId, validateDocumentIdList, addCollectionDocuments);
+
+/**
+ * DELETE /api/collections/:id/documents/:documentId
+ * Remove a document from a collection
+ */
+router.delete(
+  '/:id/documents/:documentId',
+  validateCollectionId,
+  validateUuidParam('documentId', 'document'),
+  removeCollectionDocument
+);
+
+export default router;
@@ -0,0 +1,57 @@
+import express from 'express';
+import {
+  createConversation,
+  getConversation,
+  listMessages,
+  postMessage,
+  clearMessages,
+  deleteConversation
+} from '../controllers/conversationController.js';
+import {
+  validateConversationRequest,
+  validateConversationMessage,
+  validateUuidParam
+} from '../middleware/validateRequest.js';
+import { rateLimit } from '../middleware/rateLimitMiddleware.js';
+
+const router = express.Router();
+
+const validateConversationId = validateUuidParam('id', 'conversation');
+
+/**
+ * POST /api/conversations
+ * Start a conversation about a document
+ */
+router.post('/', validateConversationRequest, createConversation);
+
+/**
+ * GET /api/conversations/:id
+ * Get conversation metadata
+ */
+router.get('/:id', validateConversationId, getConversation);
+
+/**
+ * DELETE /api/conversations/:id
+ * Delete a conversation and its messages
+ */
+router.delete('/:id', validateConversationId, deleteConversation);
+
+/**
+ * GET /api/conversations/:id/messages
+ * List the messages of a conversation
+ */
+router.get('/:id/messages', validateConversationId, listMessages);
+
+/**
+ * POST /api/conversations/:id/messages
+ * Ask a question; the server keeps the history
+ */
+router.post('/:id/messages', rateLimit('query'), validateConversationId, validateConversationMessage, postMessage);
+
+/**
+ * DELETE /api/conversations/:id/messages
+ * Delete all messages of a conversation
+ */
+router.delete('/:id/messages', validateConversationId, clearMessages);
+
+export default router;
@@ -1,26 +1,60 @@
 import express from 'express';
-import { uploadDocument, getDocument } from '../controllers/documentController.js';
+import {
+  uploadDocument,
+  listDocuments,
+  getDocument,
+  deleteDocument,
+  cancelDocumentIngestion,
+  streamDocumentEvents
+} from '../controllers/documentController.js';
 import { uploadSingle, validateFileUpload, handleUploadError } from '../middleware/uploadMiddleware.js';
-import { validateDocumentId } from '../middleware/validateRequest.js';
+import { rateLimit, ingestionQuota } from '../middleware/rateLimitMiddleware.js';
+import { validateDocumentId, validateListDocumentsQuery } from '../middleware/validateRequest.js';
 
 const router = express.Router();
 
 /**
  * POST /api/documents/upload
- * Upload a PDF document for processing
+ * Upload a document (PDF, DOCX, Markdown, HTML, text or EPUB) for processing
  */
 router.post(
   '/upload',
+  rateLimit('upload'),
+  ingestionQuota,
   uploadSingle,
   handleUploadError,
   validateFileUpload,
   uploadDocument
 );
 
+/**
+ * GET /api/documents
+ * List documents (filter by status, search fileName, sort, paginate)
+ */
+router.get('/', validateListDocumentsQuery, listDocuments);
+
 /**
  * GET /api/documents/:id
  * Get document metadata by ID
  */
 router.get('/:id', validateDocumentId, getDocument);
 
+/**
+ * GET /api/documents/:id/events
+ * Stream status and progress changes (Server-Sent Events)
+ */
+router.get('/:id/events', validateDocumentId, streamDocumentEvents);
+
+/**
+ * DELETE /api/documents/:id
+ * Delete a document and purge its vectors
+ */
+router.delete('/:id', validateDocumentId, deleteDocument);
+
+/**
+ * POST /api/documents/:id/cancel
+ * Cancel a queued or running ingestion
+ */
+router.post('/:id/cancel', validateDocumentId, cancelDocumentIngestion);
+
 export default router;
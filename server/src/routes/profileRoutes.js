@@ -0,0 +1,43 @@
+import express from 'express';
+import {
+  listProfiles,
+  getProfileByName,
+  createProfile,
+  updateProfile,
+  deleteProfile
+} from '../controllers/profileController.js';
+import { validateProfileName, validateProfileRequest } from '../middleware/validateRequest.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/profiles
+ * List prompt profiles (built-in and custom)
+ */
+router.get('/', listProfiles);
+
+/**
+ * GET /api/profiles/:name
+ * Get a prompt profile
+ */
+router.get('/:name', validateProfileName, getProfileByName);
+
+/**
+ * POST /api/profiles
+ * Create a custom prompt profile
+ */
+router.post('/', validateProfileRequest({ requireAll: true }), createProfile);
+
+/**
+ * PUT /api/profiles/:name
+ * Update a custom prompt profile (only the fields given are changed)
+ */
+router.put('/:name', validateProfileName, validateProfileRequest({ requireAll: false }), updateProfile);
+
+/**
+ * DELETE /api/profiles/:name
+ * Delete a custom prompt profile
+ */
+router.delete('/:name', validateProfileName, deleteProfile);
+
+export default router;
@@ -1,6 +1,7 @@
 import express from 'express';
-import { handleQuery } from '../controllers/queryController.js';
+import { handleQuery, handleQueryStream } from '../controllers/queryController.js';
 import { validateQueryRequest } from '../middleware/validateRequest.js';
+import { rateLimit } from '../middleware/rateLimitMiddleware.js';
 
 const router = express.Router();
 
@@ -8,6 +9,12 @@ const router = express.Router();
  * POST /api/query
  * Process a user question about a document
  */
-router.post('/', validateQueryRequest, handleQuery);
+router.post('/', rateLimit('query'), validateQueryRequest, handleQuery);
+
+/**
+ * POST /api/query/stream
+ * Same as POST /api/query, but streams the answer as Server-Sent Events
+ */
+router.post('/stream', rateLimit('query'), validateQueryRequest, handleQueryStream);
 
 export default router;
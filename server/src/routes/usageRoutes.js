@@ -0,0 +1,12 @@
+import express from 'express';
+import { getUsage } from '../controllers/usageController.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/usage
+ * Rate-limit and quota usage of the calling client
+ */
+router.get('/', getUsage);
+
+export default router;
@@ -0,0 +1,33 @@
+import express from 'express';
+import { createWebhook, listWebhooks, getWebhook, deleteWebhook } from '../controllers/webhookController.js';
+import { validateWebhookRequest, validateUuidParam } from '../middleware/validateRequest.js';
+
+const router = express.Router();
+
+const validateWebhookId = validateUuidParam('id', 'webhook');
+
+/**
+ * POST /api/webhooks
+ * Register a webhook for document.ready / document.failed events
+ */
+router.post('/', validateWebhookRequest, createWebhook);
+
+/**
+ * GET /api/webhooks
+ * List registered webhooks
+ */
+router.get('/', listWebhooks);
+
+/**
+ * GET /api/webhooks/:id
+ * Get a webhook and its last delivery
+ */
+router.get('/:id', validateWebhookId, getWebhook);
+
+/**
+ * DELETE /api/webhooks/:id
+ * Delete a webhook
+ */
+router.delete('/:id', validateWebhookId, deleteWebhook);
+
+export default router;
@@ -2,6 +2,13 @@ import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
 import { errorHandler, notFoundHandler } from './middleware/errorHandler.js';
+import { authenticate } from './middleware/authMiddleware.js';
+import { requestContext } from './middleware/requestContext.js';
+import { getMetrics } from './controllers/metricsController.js';
+import { logger } from './utils/logger.js';
+import { getDocumentRepository } from './repositories/documentRepository.js';
+import { startWebhookDispatcher } from './services/webhookService.js';
+import { publishDocumentEvent } from './services/documentEvents.js';
 
 // Load environment variables
 dotenv.config();
@@ -9,6 +16,28 @@ dotenv.config();
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+/**
+ * Express 'trust proxy' setting from TRUST_PROXY: 'true', a hop count or
+ * a list of trusted addresses/subnets. Unset or 'false' trusts no proxy,
+ * so req.ip is the direct peer's address.
+ */
+const readTrustProxy = (value = '') => {
+  const setting = value.trim();
+  if (!setting || setting === 'false') {
+    return null;
+  }
+  if (setting === 'true') {
+    return true;
+  }
+  return /^\d+$/.test(setting) ? parseInt(setting, 10) : setting;
+};
+
+// Per-client limits key on req.ip when authentication is off
+const trustProxy = readTrustProxy(process.env.TRUST_PROXY);
+if (trustProxy !== null) {
+  app.set('trust proxy', trustProxy);
+}
+
 // CORS configuration - allow frontend requests
 const corsOptions = {
   origin: process.env.FRONTEND_URL || 'http://localhost:5173',
@@ -17,8 +46,11 @@ const corsOptions = {
 };
 
 // Middleware
+// Correlation ID and access log for every request
+app.use(requestContext);
 app.use(cors(corsOptions));
-app.use(express.json());
+// Room for a full query history (up to 100 messages of 5000 characters)
+app.use(express.json({ limit: '1mb' }));
 app.use(express.urlencoded({ extended: true }));
 
 // Health check endpoint
@@ -30,13 +62,31 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Prometheus metrics (outside /api, so scrapers need no credentials)
+if (process.env.METRICS_ENABLED !== 'false') {
+  app.get('/metrics', getMetrics);
+}
+
 // Import routes
 import documentRoutes from './routes/documentRoutes.js';
 import queryRoutes from './routes/queryRoutes.js';
+import collectionRoutes from './routes/collectionRoutes.js';
+import profileRoutes from './routes/profileRoutes.js';
+import conversationRoutes from './routes/conversationRoutes.js';
+import webhookRoutes from './routes/webhookRoutes.js';
+import usageRoutes from './routes/usageRoutes.js';
+
+// Every API route acts for the caller's tenant (see AUTH_MODE)
+app.use('/api', authenticate);
 
 // Routes
 app.use('/api/documents', documentRoutes);
 app.use('/api/query', queryRoutes);
+app.use('/api/collections', collectionRoutes);
+app.use('/api/profiles', profileRoutes);
+app.use('/api/conversations', conversationRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/usage', usageRoutes);
 
 // 404 handler - must be after all routes
 app.use(notFoundHandler);
@@ -44,8 +94,23 @@ app.use(notFoundHandler);
 // Global error handler - must be last
 app.use(errorHandler);
 
+// Forward document status changes to registered webhooks
+startWebhookDispatcher();
+
+// Documents still marked as processing belong to a previous run; their
+// failure is published like any other, so webhooks and streams hear of it
+getDocumentRepository().recoverInterrupted()
+  .then(recovered => {
+    for (const document of recovered) {
+      publishDocumentEvent('status', document);
+    }
+    if (recovered.length > 0) {
+      logger.warn('Marked interrupted documents as failed', { count: recovered.length });
+    }
+  })
+  .catch(err => logger.error('Failed to recover interrupted documents', { error: err }));
+
 // Start server
 app.listen(PORT, () => {
-  console.log(`Server is running on port ${PORT}`);
-  console.log(`Health check available at http://localhost:${PORT}/health`);
+  logger.info('Server is running', { port: Number(PORT), health: `http://localhost:${PORT}/health` });
 });
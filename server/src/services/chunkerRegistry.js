@@ -0,0 +1,101 @@
+import { recursiveChunker } from './chunkers/recursiveChunker.js';
+import { headingChunker } from './chunkers/headingChunker.js';
+import { codeChunker } from './chunkers/codeChunker.js';
+import { sentenceWindowChunker } from './chunkers/sentenceWindowChunker.js';
+import { semanticChunker } from './chunkers/semanticChunker.js';
+
+// Chunking strategies by name. Each chunker exposes:
+// - description
+// - params: { name: { default, min, max } } - integer parameters
+// - check(params) returning an error message for invalid combinations (optional)
+// - chunk(text, params, { sections, embed }) resolving to
+//   [{ text, start, metadata? }] in document order, where start is the
+//   chunk's offset in text, sections are the loader's headings
+//   ([{ offset, path }]) and embed(texts) embeds texts for chunkers that
+//   need vectors
+const chunkers = new Map([
+  ['recursive', recursiveChunker],
+  ['heading', headingChunker],
+  ['code', codeChunker],
+  ['sentence-window', sentenceWindowChunker],
+  ['semantic', semanticChunker]
+]);
+
+const DEFAULT_STRATEGY = 'recursive';
+
+/**
+ * Register an additional chunker (or replace a built-in one)
+ */
+export const registerChunker = (name, chunker) => {
+  if (typeof chunker?.chunk !== 'function') {
+    throw new Error(`Chunker "${name}" must implement chunk`);
+  }
+  chunkers.set(name, { params: {}, ...chunker, name });
+};
+
+export const getChunkerNames = () => [...chunkers.keys()];
+
+/**
+ * Strategy used when an upload doesn't choose one (CHUNKING_STRATEGY)
+ */
+export const getDefaultChunkingStrategy = () => process.env.CHUNKING_STRATEGY || DEFAULT_STRATEGY;
+
+/**
+ * Validate a strategy and its parameters and fill in the defaults.
+ * Returns { strategy, params } with every parameter of the strategy set;
+ * throws when the strategy is unknown or a parameter is invalid.
+ */
+export const resolveChunking = (strategy = getDefaultChunkingStrategy(), params = {}) => {
+  const chunker = chunkers.get(strategy);
+  if (!chunker) {
+    throw new Error(`chunking must be one of: ${getChunkerNames().join(', ')}`);
+  }
+
+  for (const name of Object.keys(params)) {
+    if (!Object.hasOwn(chunker.params, name)) {
+      throw new Error(`Unknown parameter "${name}" for the ${strategy} chunker`);
+    }
+  }
+
+  const resolved = {};
+  for (const [name, { default: defaultValue, min, max }] of Object.entries(chunker.params)) {
+    const value = params[name] ?? defaultValue;
+    if (!Number.isInteger(value) || value < min || value > max) {
+      throw new Error(`${name} must be an integer between ${min} and ${max}`);
+    }
+    resolved[name] = value;
+  }
+
+  const problem = chunker.check?.(resolved);
+  if (problem) {
+    throw new Error(problem);
+  }
+
+  return { strategy, params: resolved };
+};
+
+/**
+ * Whether two chunking choices produce the same chunks. Documents indexed
+ * before chunking was configurable count as the default recursive split.
+ */
+export const isSameChunking = (a, b) => {
+  const left = a || resolveChunking(DEFAULT_STRATEGY);
+  const right = b || resolveChunking(DEFAULT_STRATEGY);
+  return left.strategy === right.strategy &&
+    Object.entries(left.params).every(([name, value]) => right.params[name] === value);
+};
+
+/**
+ * Split text with a resolved chunking choice (see resolveChunking).
+ * `context` is passed to the chunker ({ sections, embed }).
+ */
+export const chunkText = async (text, { strategy, params }, context = {}) => {
+  const chunker = chunkers.get(strategy);
+
+  if (!chunker) {
+    throw new Error(`Unknown chunking strategy "${strategy}"`);
+  }
+
+  const chunks = await chunker.chunk(text, params, context);
+  return chunks.filter(chunk => chunk.text.trim().length > 0);
+};
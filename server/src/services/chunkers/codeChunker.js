@@ -0,0 +1,161 @@
+import { splitRecursive, splitSentences } from './textUnits.js';
+
+const FENCE = /^\s*(```|~~~)/;
+
+// Lines that look like source code or textbook pseudo-code
+const CODE_LINE_PATTERNS = [
+  // Statement terminators and braces
+  /[;{}]\s*$/,
+  /^[{}]/,
+  // Declarations and imports
+  /^(#include|import\s+[\w{*]|from\s+\S+\s+import\b|def\s+\w+\s*\(|function\b|class\s+\w+\s*[:({]|(public|private|protected|static)\s|(void|int|long|double|bool|char)\s+\w+\s*[=(;[])/,
+  // Pseudo-code procedure headers: MERGE-SORT(A, p, r)
+  /^[A-Z][A-Z0-9_-]+\s*\([^)]*\)\s*:?$/,
+  // Assignments and operators rarely found in prose
+  /←|:=|\+=|-=|\*=|\+\+|==|!=/,
+  /^[\w.[\]]+\s*=\s*\S/,
+  // Control flow ending like a statement header
+  /^(for|foreach|while|if|else\s+if|elif|else|repeat|until|switch|case)\b.*(\b(do|then)|:|\)\s*\{?)$/i,
+  /^else\b[^.!?]*$/,
+  // Block ends
+  /^(end|endif|endfor|endwhile|end\s+(if|for|while|procedure)|return\b.{0,30})$/i
+];
+
+// Textbook line numbers in front of pseudo-code ("3  for j = 2 to n")
+const LINE_NUMBER = /^\d{1,3}[:.]?\s+/;
+
+const isProse = (line) => line.split(/\s+/).length >= 10 && /[.!?]["')]?$/.test(line) && !/[;{}]$/.test(line);
+
+const isCodeLine = (line) => {
+  const trimmed = line.trim();
+  if (!trimmed || isProse(trimmed)) {
+    return false;
+  }
+  const statement = trimmed.replace(LINE_NUMBER, '');
+  return CODE_LINE_PATTERNS.some(pattern => pattern.test(statement));
+};
+
+// Lines allowed inside a code block without looking like code themselves
+// (blank lines, "exchange A[i] with A[j]"...)
+const MAX_GAP_LINES = 2;
+const isGapLine = (line) => !line.trim() || (line.trim().length <= 80 && !/[.!?]$/.test(line.trim()));
+
+/**
+ * Find code blocks: fenced blocks, and runs of at least two code-like
+ * lines (possibly with short non-code lines between them). Returns
+ * [{ start, end }] offsets into text, in order.
+ */
+const findCodeBlocks = (text) => {
+  const lines = [];
+  let offset = 0;
+  for (const line of text.split('\n')) {
+    lines.push({ line, start: offset, end: offset + line.length });
+    offset += line.length + 1;
+  }
+
+  const blocks = [];
+  let i = 0;
+  while (i < lines.length) {
+    if (FENCE.test(lines[i].line)) {
+      let close = i + 1;
+      while (close < lines.length && !FENCE.test(lines[close].line)) {
+        close++;
+      }
+      const last = Math.min(close, lines.length - 1);
+      blocks.push({ start: lines[i].start, end: lines[last].end });
+      i = last + 1;
+      continue;
+    }
+
+    if (!isCodeLine(lines[i].line)) {
+      i++;
+      continue;
+    }
+
+    let last = i;
+    let codeLines = 1;
+    let j = i + 1;
+    while (j < lines.length && j - last <= MAX_GAP_LINES + 1 && !FENCE.test(lines[j].line)) {
+      if (isCodeLine(lines[j].line)) {
+        last = j;
+        codeLines++;
+      } else if (!isGapLine(lines[j].line)) {
+        break;
+      }
+      j++;
+    }
+
+    if (codeLines >= 2) {
+      blocks.push({ start: lines[i].start, end: lines[last].end });
+    }
+    i = last + 1;
+  }
+
+  return blocks;
+};
+
+/**
+ * Chunks that never cut through a code listing. Code blocks (fenced, or
+ * runs of code-like lines such as textbook pseudo-code) are kept whole up
+ * to maxCodeBlockSize; prose around them is split at sentence boundaries
+ * and packed into chunks of about chunkSize, overlapping by up to
+ * chunkOverlap characters of prose. Chunks holding code are flagged with
+ * containsCode.
+ */
+export const codeChunker = {
+  description: 'Keeps code blocks and pseudo-code whole, splits prose by sentences',
+  params: {
+    chunkSize: { default: 1000, min: 100, max: 8000 },
+    chunkOverlap: { default: 200, min: 0, max: 4000 },
+    maxCodeBlockSize: { default: 4000, min: 200, max: 16000 }
+  },
+
+  check: ({ chunkSize, chunkOverlap }) =>
+    chunkOverlap < chunkSize ? null : 'chunkOverlap must be smaller than chunkSize',
+
+  chunk: async (text, { chunkSize, chunkOverlap, maxCodeBlockSize }) => {
+    // Units in document order: prose sentences and (pieces of) code blocks
+    const units = [];
+    const addProse = async (start, end) => {
+      units.push(...await splitSentences(text.slice(start, end), { maxLength: chunkSize }, start));
+    };
+
+    let cursor = 0;
+    for (const block of findCodeBlocks(text)) {
+      await addProse(cursor, block.start);
+      const code = block.end - block.start <= maxCodeBlockSize
+        ? [block]
+        : await splitRecursive(text.slice(block.start, block.end), { chunkSize: maxCodeBlockSize, chunkOverlap: 0 }, block.start);
+      units.push(...code.map(({ start, end }) => ({ start, end, code: true })));
+      cursor = block.end;
+    }
+    await addProse(cursor, text.length);
+
+    const ranges = [];
+    let current = null;
+    for (const unit of units) {
+      if (current && unit.end - current.start <= chunkSize) {
+        current.end = unit.end;
+        current.units.push(unit);
+        continue;
+      }
+
+      // Start a new chunk, repeating the previous chunk's closing sentences
+      const carried = [];
+      for (const previous of [...(current?.units || [])].reverse()) {
+        if (previous.code || current.end - previous.start > chunkOverlap || unit.end - previous.start > chunkSize) {
+          break;
+        }
+        carried.unshift(previous);
+      }
+      current = { start: (carried[0] || unit).start, end: unit.end, units: [...carried, unit] };
+      ranges.push(current);
+    }
+
+    return ranges.map(({ start, end, units: rangeUnits }) => ({
+      text: text.slice(start, end),
+      start,
+      ...(rangeUnits.some(unit => unit.code) && { metadata: { containsCode: true } })
+    }));
+  }
+};
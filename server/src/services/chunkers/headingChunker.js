@@ -0,0 +1,106 @@
+import { splitRecursive, trimRange } from './textUnits.js';
+
+// Heading lines recognised in text without loader-reported structure
+// (PDFs, plain text): "Chapter 3. Quicksort", "2.4 Binary Heaps", "## Usage"
+const HEADING_PATTERNS = [
+  { regex: /^(?:chapter|part|appendix)\s+(?:\d+|[IVXLC]+|[A-Z])\b[.:]?(?:\s+\S.*)?$/i, level: () => 1 },
+  { regex: /^(\d+(?:\.\d+){0,3})\.?\s[A-Z][\w'’-]*(?:\s[\w'’()&/-]+){0,9}$/, level: (match) => match[1].split('.').length + 1 },
+  { regex: /^(#{1,6})\s+\S.*$/, level: (match) => match[1].length }
+];
+
+// Longest line still taken for a heading
+const MAX_HEADING_LENGTH = 100;
+
+/**
+ * Find heading lines in plain text and return them as sections
+ * ({ offset, path }) like the ones resolved from loader headings
+ */
+const detectHeadings = (text) => {
+  const open = [];
+  const sections = [];
+  let offset = 0;
+
+  for (const line of text.split('\n')) {
+    const title = line.trim();
+    if (title && title.length <= MAX_HEADING_LENGTH) {
+      for (const { regex, level } of HEADING_PATTERNS) {
+        const match = title.match(regex);
+        if (match) {
+          const heading = { title: title.replace(/^#+\s*/, ''), level: level(match) };
+          while (open.length > 0 && open[open.length - 1].level >= heading.level) {
+            open.pop();
+          }
+          open.push(heading);
+          sections.push({ offset: offset + line.indexOf(title), path: open.map(h => h.title).join(' > ') });
+          break;
+        }
+      }
+    }
+    offset += line.length + 1;
+  }
+
+  return sections;
+};
+
+/**
+ * One chunk per section: the document is cut at every heading, sections
+ * shorter than minChunkSize are merged into the next one and sections
+ * longer than maxChunkSize are split recursively. Uses the headings the
+ * loader reported (Markdown, HTML, DOCX, EPUB) and otherwise detects
+ * heading lines in the text, tagging chunks with their section.
+ */
+export const headingChunker = {
+  description: 'One chunk per section, cut at headings',
+  params: {
+    maxChunkSize: { default: 2000, min: 200, max: 8000 },
+    minChunkSize: { default: 200, min: 0, max: 4000 },
+    chunkOverlap: { default: 200, min: 0, max: 4000 }
+  },
+
+  check: ({ maxChunkSize, minChunkSize, chunkOverlap }) => {
+    if (minChunkSize > maxChunkSize) {
+      return 'minChunkSize must not exceed maxChunkSize';
+    }
+    return chunkOverlap < maxChunkSize ? null : 'chunkOverlap must be smaller than maxChunkSize';
+  },
+
+  chunk: async (text, { maxChunkSize, minChunkSize, chunkOverlap }, { sections = [] } = {}) => {
+    const detected = sections.length === 0;
+    const headings = detected ? detectHeadings(text) : sections;
+
+    const cuts = [...new Set([0, ...headings.map(heading => heading.offset), text.length])].sort((a, b) => a - b);
+    const ranges = [];
+    for (let i = 0; i < cuts.length - 1; i++) {
+      const range = trimRange(text, cuts[i], cuts[i + 1]);
+      if (!range) {
+        continue;
+      }
+
+      const previous = ranges[ranges.length - 1];
+      if (previous && previous.end - previous.start < minChunkSize && range.end - previous.start <= maxChunkSize) {
+        previous.end = range.end;
+      } else {
+        ranges.push({ start: range.start, end: range.end });
+      }
+    }
+
+    const chunks = [];
+    for (const { start, end } of ranges) {
+      if (end - start <= maxChunkSize) {
+        chunks.push({ text: text.slice(start, end), start });
+      } else {
+        chunks.push(...await splitRecursive(text.slice(start, end), { chunkSize: maxChunkSize, chunkOverlap }, start));
+      }
+    }
+
+    if (!detected) {
+      return chunks;
+    }
+
+    // Loader sections are attached by processDocument; detected ones here
+    return chunks.map(chunk => {
+      const section = headings.filter(heading => heading.offset <= chunk.start).pop();
+      return section ? { ...chunk, metadata: { section: section.path } } : chunk;
+    });
+  }
+};
@@ -0,0 +1,18 @@
+import { splitRecursive } from './textUnits.js';
+
+/**
+ * Fixed-size chunks split at the coarsest separator that fits (paragraphs,
+ * then lines, then words), with overlap between neighbours
+ */
+export const recursiveChunker = {
+  description: 'Fixed-size chunks split at paragraph, line and word boundaries',
+  params: {
+    chunkSize: { default: 1000, min: 100, max: 8000 },
+    chunkOverlap: { default: 200, min: 0, max: 4000 }
+  },
+
+  check: ({ chunkSize, chunkOverlap }) =>
+    chunkOverlap < chunkSize ? null : 'chunkOverlap must be smaller than chunkSize',
+
+  chunk: async (text, params) => splitRecursive(text, params)
+};
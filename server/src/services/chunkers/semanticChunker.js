@@ -0,0 +1,82 @@
+import { splitSentences } from './textUnits.js';
+
+const cosineDistance = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? 1 - dot / Math.sqrt(normA * normB) : 1;
+};
+
+const percentile = (values, p) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(Math.floor((p / 100) * sorted.length), sorted.length - 1)];
+};
+
+/**
+ * Chunks that end where the topic changes. Every sentence is embedded
+ * together with bufferSize neighbours on each side, and the text is cut
+ * between consecutive sentences whose embeddings are further apart than
+ * the breakpointPercentile of all such distances. Groups shorter than
+ * minChunkSize are merged into the next one and groups longer than
+ * maxChunkSize are cut at sentence boundaries. Costs one embedding per
+ * sentence on top of the chunk embeddings.
+ */
+export const semanticChunker = {
+  description: 'Cut where consecutive sentences drift apart in embedding space',
+  params: {
+    breakpointPercentile: { default: 95, min: 50, max: 99 },
+    bufferSize: { default: 1, min: 0, max: 5 },
+    minChunkSize: { default: 200, min: 0, max: 4000 },
+    maxChunkSize: { default: 2000, min: 200, max: 8000 }
+  },
+
+  check: ({ minChunkSize, maxChunkSize }) =>
+    minChunkSize <= maxChunkSize ? null : 'minChunkSize must not exceed maxChunkSize',
+
+  chunk: async (text, { breakpointPercentile, bufferSize, minChunkSize, maxChunkSize }, { embed }) => {
+    const sentences = await splitSentences(text, { maxLength: maxChunkSize });
+    if (sentences.length <= 1) {
+      return sentences.map(({ text: sentenceText, start }) => ({ text: sentenceText, start }));
+    }
+
+    const vectors = await embed(sentences.map((_, i) => {
+      const first = sentences[Math.max(i - bufferSize, 0)];
+      const last = sentences[Math.min(i + bufferSize, sentences.length - 1)];
+      return text.slice(first.start, last.end);
+    }));
+
+    const distances = sentences.slice(1).map((_, i) => cosineDistance(vectors[i], vectors[i + 1]));
+    const threshold = percentile(distances, breakpointPercentile);
+
+    // Sentence groups between breakpoints, capped at maxChunkSize
+    const groups = [];
+    let group = { start: sentences[0].start, end: sentences[0].end };
+    sentences.slice(1).forEach((sentence, i) => {
+      if (distances[i] > threshold || sentence.end - group.start > maxChunkSize) {
+        groups.push(group);
+        group = { start: sentence.start, end: sentence.end };
+      } else {
+        group.end = sentence.end;
+      }
+    });
+    groups.push(group);
+
+    // Fold groups that are too short into their successor
+    const merged = [];
+    for (const current of groups) {
+      const previous = merged[merged.length - 1];
+      if (previous && previous.end - previous.start < minChunkSize && current.end - previous.start <= maxChunkSize) {
+        previous.end = current.end;
+      } else {
+        merged.push({ ...current });
+      }
+    }
+
+    return merged.map(({ start, end }) => ({ text: text.slice(start, end), start }));
+  }
+};
@@ -0,0 +1,35 @@
+import { splitSentences } from './textUnits.js';
+
+/**
+ * Small chunks of a few sentences each, embedded and matched on their own
+ * for precise retrieval. Every chunk also carries a window - the chunk
+ * plus windowSize sentences on each side - which is what the model sees
+ * when the chunk is used as a source.
+ */
+export const sentenceWindowChunker = {
+  description: 'A few sentences per chunk, answered from a wider window around them',
+  params: {
+    sentencesPerChunk: { default: 2, min: 1, max: 20 },
+    windowSize: { default: 2, min: 0, max: 10 },
+    maxSentenceLength: { default: 1000, min: 100, max: 4000 }
+  },
+
+  chunk: async (text, { sentencesPerChunk, windowSize, maxSentenceLength }) => {
+    const sentences = await splitSentences(text, { maxLength: maxSentenceLength });
+    const chunks = [];
+
+    for (let i = 0; i < sentences.length; i += sentencesPerChunk) {
+      const last = Math.min(i + sentencesPerChunk, sentences.length) - 1;
+      const windowStart = sentences[Math.max(i - windowSize, 0)].start;
+      const windowEnd = sentences[Math.min(last + windowSize, sentences.length - 1)].end;
+
+      chunks.push({
+        text: text.slice(sentences[i].start, sentences[last].end),
+        start: sentences[i].start,
+        metadata: { window: text.slice(windowStart, windowEnd) }
+      });
+    }
+
+    return chunks;
+  }
+};
@@ -0,0 +1,69 @@
+import { RecursiveCharacterTextSplitter } from '@langchain/textsplitters';
+
+const sentenceSegmenter = new Intl.Segmenter('en', { granularity: 'sentence' });
+
+/**
+ * Trim a [start, end) range of `text` to its non-whitespace content.
+ * Returns null when nothing is left.
+ */
+export const trimRange = (text, start, end) => {
+  while (start < end && /\s/.test(text[start])) {
+    start++;
+  }
+  while (end > start && /\s/.test(text[end - 1])) {
+    end--;
+  }
+  return start < end ? { text: text.slice(start, end), start, end } : null;
+};
+
+/**
+ * Split text with the recursive character splitter and locate every piece,
+ * so pieces come back as { text, start, end } with offsets into `text`
+ * (shifted by `offset`)
+ */
+export const splitRecursive = async (text, { chunkSize, chunkOverlap }, offset = 0) => {
+  const splitter = new RecursiveCharacterTextSplitter({ chunkSize, chunkOverlap });
+  const pieces = await splitter.splitText(text);
+
+  let cursor = 0;
+  return pieces.map(piece => {
+    let start = text.indexOf(piece, cursor);
+    if (start === -1) {
+      start = cursor;
+    }
+    cursor = start + 1;
+    return { text: piece, start: offset + start, end: offset + start + piece.length };
+  });
+};
+
+/**
+ * Split text into sentences with their offsets. Single line breaks (as in
+ * PDF text, where they only wrap lines) don't end a sentence; blank lines
+ * do. Sentences longer than `maxLength` are split further.
+ */
+export const splitSentences = async (text, { maxLength = 1000 } = {}, offset = 0) => {
+  // Same length as text, so segment offsets stay valid
+  const unwrapped = text.replace(/([^\n])\n(?=[^\n])/g, '$1 ');
+  const segments = [];
+  for (const paragraph of unwrapped.matchAll(/[^\n]+(?:\n(?![ \t]*\n)[^\n]*)*/g)) {
+    for (const segment of sentenceSegmenter.segment(paragraph[0])) {
+      segments.push({ start: paragraph.index + segment.index, end: paragraph.index + segment.index + segment.segment.length });
+    }
+  }
+
+  const sentences = [];
+  for (const segment of segments) {
+    const range = trimRange(text, segment.start, segment.end);
+    if (!range) {
+      continue;
+    }
+
+    if (range.text.length <= maxLength) {
+      sentences.push({ ...range, start: offset + range.start, end: offset + range.end });
+    } else {
+      sentences.push(...await splitRecursive(range.text, { chunkSize: maxLength, chunkOverlap: 0 }, offset + range.start));
+    }
+  }
+
+  return sentences;
+};
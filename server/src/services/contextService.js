@@ -0,0 +1,224 @@
+import { getChatModel } from './providerRegistry.js';
+import { buildSummaryPrompt } from './promptService.js';
+import { estimateTokens, truncateToTokens } from '../utils/tokens.js';
+import { logger } from '../utils/logger.js';
+
+// Tokens added per message or source for role labels and separators
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+// Longest excerpt of a single message fed to the summarizer
+const SUMMARY_INPUT_MESSAGE_TOKENS = 500;
+
+// Smallest share of a source worth keeping when it has to be clipped
+const MIN_SOURCE_TOKENS = 50;
+
+const readInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+
+/**
+ * Token budget for one prompt. `maxTokens` covers the whole prompt (system
+ * instruction, question, history and sources), `historyTokens` caps the
+ * history within it and `summaryTokens` caps the rolling summary within
+ * the history. Per-request values override CONTEXT_* settings.
+ */
+export const getContextBudget = (overrides = {}) => {
+  const maxTokens = overrides.maxTokens ?? readInt(process.env.CONTEXT_MAX_TOKENS, 8000);
+  const historyTokens = Math.min(
+    overrides.historyTokens ?? readInt(process.env.CONTEXT_HISTORY_TOKENS, 2000),
+    maxTokens
+  );
+  const summaryTokens = Math.min(readInt(process.env.CONTEXT_SUMMARY_TOKENS, 400), Math.floor(historyTokens / 2));
+
+  return { maxTokens, historyTokens, summaryTokens };
+};
+
+
+const messageTokens = (message) => estimateTokens(message.content) + MESSAGE_OVERHEAD_TOKENS;
+
+
+/**
+ * Fallback summary when the model can't produce one: the questions asked
+ */
+const extractiveSummary = (previousSummary, messages) => {
+  const questions = messages
+    .filter(message => message.role === 'user')
+    .map(message => truncateToTokens(message.content.replace(/\s+/g, ' ').trim(), 40));
+
+  return [previousSummary, questions.length > 0 && `Earlier questions: ${questions.join('; ')}.`]
+    .filter(Boolean)
+    .join(' ');
+};
+
+
+/**
+ * Fold messages into the running summary, a group at a time so each
+ * summarization prompt stays within the budget
+ */
+const summarizeMessages = async (previousSummary, messages, { budget, profile }) => {
+  const model = getChatModel(profile?.temperature !== undefined ? { temperature: profile.temperature } : {});
+  const maxWords = Math.max(Math.floor(budget.summaryTokens * 0.75), 20);
+  const groupTokens = Math.max(budget.maxTokens - budget.summaryTokens, SUMMARY_INPUT_MESSAGE_TOKENS);
+
+  const excerpts = messages.map(message => ({
+    role: message.role,
+    content: truncateToTokens(message.content, SUMMARY_INPUT_MESSAGE_TOKENS)
+  }));
+
+  let summary = previousSummary;
+  let group = [];
+  let groupSize = 0;
+
+  const flush = async () => {
+    try {
+      const response = await model.invoke(buildSummaryPrompt(summary, group, maxWords));
+      summary = response.content.trim();
+    } catch (error) {
+      logger.error('Error summarizing conversation history', { error });
+      summary = extractiveSummary(summary, group);
+    }
+    summary = truncateToTokens(summary, budget.summaryTokens);
+    group = [];
+    groupSize = 0;
+  };
+
+  for (const excerpt of excerpts) {
+    if (group.length > 0 && groupSize + messageTokens(excerpt) > groupTokens) {
+      await flush();
+    }
+    group.push(excerpt);
+    groupSize += messageTokens(excerpt);
+  }
+  if (group.length > 0) {
+    await flush();
+  }
+
+  return summary;
+};
+
+
+/**
+ * Fit the conversation history into its budget. The newest messages are
+ * kept verbatim; older ones are replaced by a rolling summary, returned as
+ * a leading `{ role: 'summary' }` message.
+ *
+ * `summary` ({ text, messageCount }) is a summary already covering the
+ * first `messageCount` messages, e.g. stored with a conversation. It is
+ * extended rather than rebuilt, and the updated one is returned.
+ */
+export const fitHistory = async (history = [], { budget, summary = null, profile } = {}) => {
+  const covered = Math.min(summary?.messageCount ?? 0, history.length);
+  const pending = history.slice(covered);
+  const summaryText = covered > 0 ? summary.text : '';
+  const report = { messages: history.length, included: pending.length, summarized: covered, clipped: 0, tokens: 0 };
+
+  const withSummary = (text, recent) => (text ? [{ role: 'summary', content: text }, ...recent] : recent);
+  const totalTokens = (messages) => messages.reduce((sum, message) => sum + messageTokens(message), 0);
+
+  // Everything fits: nothing to summarize
+  const unchanged = withSummary(summaryText, pending);
+  if (totalTokens(unchanged) <= budget.historyTokens) {
+    report.tokens = totalTokens(unchanged);
+    return { history: unchanged, summary: covered > 0 ? summary : null, report };
+  }
+
+  if (budget.historyTokens === 0) {
+    return { history: [], summary: null, report: { ...report, included: 0, summarized: 0 } };
+  }
+
+  // Keep the newest messages that fit next to the summary
+  const recentBudget = budget.historyTokens - budget.summaryTokens - MESSAGE_OVERHEAD_TOKENS;
+  let keepFrom = pending.length;
+  let used = 0;
+  while (keepFrom > 0 && used + messageTokens(pending[keepFrom - 1]) <= recentBudget) {
+    keepFrom -= 1;
+    used += messageTokens(pending[keepFrom]);
+  }
+
+  const recent = pending.slice(keepFrom);
+
+  // Not even the last message fits: keep the start of it
+  if (recent.length === 0 && pending.length > 0) {
+    keepFrom = pending.length - 1;
+    const last = pending[keepFrom];
+    recent.push({ ...last, content: truncateToTokens(last.content, recentBudget - MESSAGE_OVERHEAD_TOKENS) });
+    report.clipped = 1;
+  }
+
+  const dropped = pending.slice(0, keepFrom);
+  const text = dropped.length > 0
+    ? await summarizeMessages(summaryText, dropped, { budget, profile })
+    : summaryText;
+
+  const fitted = withSummary(text, recent);
+  const updatedSummary = text ? { text, messageCount: covered + keepFrom } : null;
+
+  return {
+    history: fitted,
+    summary: updatedSummary,
+    report: {
+      ...report,
+      included: recent.length,
+      summarized: covered + keepFrom,
+      tokens: totalTokens(fitted)
+    }
+  };
+};
+
+
+/**
+ * Keep the best-ranked sources that fit in `maxTokens`. `formatSource`
+ * renders a source as it appears in the prompt. When not even the first
+ * source fits, its text is clipped instead; with `keepFirst` it is kept
+ * (clipped to MIN_SOURCE_TOKENS) even when that exceeds `maxTokens`.
+ */
+export const fitSources = (sources, maxTokens, formatSource, { keepFirst = false } = {}) => {
+  const included = [];
+  let used = 0;
+  let clipped = 0;
+
+  for (const source of sources) {
+    const tokens = estimateTokens(formatSource(source)) + MESSAGE_OVERHEAD_TOKENS;
+    if (used + tokens <= maxTokens) {
+      included.push(source);
+      used += tokens;
+      continue;
+    }
+
+    const room = maxTokens - used - (tokens - estimateTokens(source.text));
+    if (included.length === 0 && (room >= MIN_SOURCE_TOKENS || keepFirst)) {
+      const shortened = { ...source, text: truncateToTokens(source.text, Math.max(room, MIN_SOURCE_TOKENS)) };
+      included.push(shortened);
+      used += estimateTokens(formatSource(shortened)) + MESSAGE_OVERHEAD_TOKENS;
+      clipped = 1;
+    }
+    break;
+  }
+
+  return {
+    sources: included,
+    report: {
+      retrieved: sources.length,
+      included: included.length,
+      dropped: sources.length - included.length,
+      clipped,
+      tokens: used
+    }
+  };
+};
+
+
+/**
+ * Summary of how a prompt was assembled, returned with the answer
+ */
+export const buildContextReport = (budget, { promptTokens, history, sources }) => ({
+  budget: budget.maxTokens,
+  promptTokens,
+  history,
+  sources,
+  truncated: history.summarized > 0 || history.clipped > 0 || (history.dropped ?? 0) > 0 ||
+    sources.dropped > 0 || sources.clipped > 0,
+  budgetExceeded: promptTokens > budget.maxTokens
+});
@@ -0,0 +1,37 @@
+import { EventEmitter } from 'events';
+
+// In-process bus for document status and progress changes
+const emitter = new EventEmitter();
+
+// One listener per open SSE stream, so there is no meaningful cap
+emitter.setMaxListeners(0);
+
+/**
+ * Announce a change to a document.
+ * type: 'progress' (ingestion progress), 'status' (status transition) or
+ * 'deleted'. `document` is the stored record after the change.
+ */
+export const publishDocumentEvent = (type, document) => {
+  if (!document) {
+    return;
+  }
+
+  emitter.emit('event', { type, document });
+};
+
+/**
+ * Listen to changes of every document. Returns an unsubscribe function.
+ */
+export const subscribeToDocuments = (listener) => {
+  emitter.on('event', listener);
+  return () => emitter.off('event', listener);
+};
+
+/**
+ * Listen to changes of a single document. Returns an unsubscribe function.
+ */
+export const subscribeToDocument = (documentId, listener) => subscribeToDocuments((event) => {
+  if (event.document.documentId === documentId) {
+    listener(event);
+  }
+});
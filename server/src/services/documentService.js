@@ -1,82 +1,300 @@
-import { RecursiveCharacterTextSplitter } from '@langchain/textsplitters';
-import { getEmbeddings } from './embeddingService.js';
-import { storeVectors } from './pineconeService.js';
+import { embedTexts } from './embeddingService.js';
+import { estimateTokens } from '../utils/tokens.js';
+import { storeVectors, buildChunkRecords } from './vectorStoreService.js';
+import { buildKeywordIndex } from './keywordIndexService.js';
+import { detectFileType, loadDocument } from './loaderRegistry.js';
+import { chunkText, resolveChunking } from './chunkerRegistry.js';
+import { logger } from '../utils/logger.js';
 import fs from 'fs/promises';
 
+// Separator placed between pages when they are joined for splitting
+const PAGE_SEPARATOR = '\n\n';
 
-export const processDocument = async (filePath, documentId, fileName) => {
+// Default stage runner: a single attempt
+const runOnce = (stage, task) => task();
+
+/**
+ * Join page texts into one string and record the character range
+ * (start inclusive, end exclusive) each page occupies in it
+ */
+const joinPages = (pages) => {
+  const pageRanges = [];
+  let offset = 0;
+  
+  for (const page of pages) {
+    pageRanges.push({ pageNumber: page.pageNumber, start: offset, end: offset + page.text.length });
+    offset += page.text.length + PAGE_SEPARATOR.length;
+  }
+  
+  return {
+    text: pages.map(page => page.text).join(PAGE_SEPARATOR),
+    pageRanges
+  };
+};
+
+/**
+ * Turn the per-page heading offsets reported by a loader into offsets in
+ * the joined text, each with its heading path ("Chapter 2 > Heaps")
+ */
+const resolveSections = (pages, pageRanges) => {
+  const open = [];
+  const sections = [];
+  
+  pages.forEach((page, i) => {
+    for (const section of page.sections || []) {
+      while (open.length > 0 && open[open.length - 1].level >= section.level) {
+        open.pop();
+      }
+      open.push(section);
+      sections.push({
+        offset: pageRanges[i].start + section.offset,
+        path: open.map(heading => heading.title).join(' > ')
+      });
+    }
+  });
+  
+  return sections;
+};
+
+/**
+ * Locate every chunk in the joined text and tag it with the page it starts
+ * on, the page span it covers (paginated formats only), the section it
+ * starts in and, when any of its pages were OCR'd, the lowest OCR
+ * confidence among them. Chunkers report where each chunk starts; for
+ * chunks without an offset each search resumes just after the previous
+ * match.
+ */
+const assignChunkPositions = (chunks, text, { pageRanges, sections, paginated, ocrConfidence }) => {
+  const pageAt = (offset) => {
+    const range = pageRanges.find(r => offset < r.end + PAGE_SEPARATOR.length);
+    return range ? range.pageNumber : pageRanges[pageRanges.length - 1].pageNumber;
+  };
+  
+  const sectionAt = (offset) => {
+    let current = null;
+    for (const section of sections) {
+      if (section.offset > offset) {
+        break;
+      }
+      current = section;
+    }
+    return current;
+  };
+  
+  let cursor = 0;
+  let previousPage = 1;
+  let previousSection = null;
+  
+  return chunks.map(chunk => {
+    let start = chunk.start ?? text.indexOf(chunk.pageContent, cursor);
+    if (start === -1) {
+      start = text.indexOf(chunk.pageContent);
+    }
+    
+    let pageStart = previousPage;
+    let pageEnd = previousPage;
+    let section = previousSection;
+    if (start !== -1) {
+      cursor = start + 1;
+      pageStart = pageAt(start);
+      pageEnd = pageAt(start + Math.max(chunk.pageContent.length - 1, 0));
+      section = sectionAt(start);
+    }
+    previousPage = pageStart;
+    previousSection = section;
+    
+    const confidences = [];
+    for (let pageNumber = pageStart; pageNumber <= pageEnd; pageNumber++) {
+      if (ocrConfidence.has(pageNumber)) {
+        confidences.push(ocrConfidence.get(pageNumber));
+      }
+    }
+    
+    return {
+      pageContent: chunk.pageContent,
+      metadata: {
+        ...chunk.metadata,
+        ...(paginated && { pageNumber: pageStart, pageStart, pageEnd }),
+        ...(section && { section: section.path }),
+        ...(confidences.length > 0 && { ocr: true, ocrConfidence: Math.min(...confidences) })
+      }
+    };
+  });
+};
+
+
+/**
+ * Parse, chunk, embed and index a document of any supported type
+ * (`fileType` is detected from the file when not given). `ocr` is the
+ * per-upload OCR mode for PDFs (see ocrService.OCR_MODES) and `chunking`
+ * the upload's { strategy, params } (see chunkerRegistry.resolveChunking;
+ * CHUNKING_STRATEGY with its defaults when not given).
+ * `onProgress({ stage, completed, total })` is awaited at every stage and
+ * batch; `retry(stage, task)` wraps the network-bound steps (embedding,
+ * including semantic chunking's, upserting, indexing) so the caller can
+ * retry them. Vectors go to the owning tenant's vector store `namespace`.
+ * `meter` ({ check(cost), charge(usage) }) enforces the uploader's daily
+ * quotas: each step's pages or embedding tokens are checked before it runs
+ * and charged as it completes.
+ */
+export const processDocument = async (filePath, documentId, fileName, { fileType, ocr, chunking, namespace, signal, onProgress, retry = runOnce, meter } = {}) => {
+  const report = async (stage, completed = 0, total = 0) => {
+    await onProgress?.({ stage, completed, total });
+  };
+  const log = logger.child({ documentId });
+  
   try {
     // Verify file exists before processing
     try {
       const stats = await fs.stat(filePath);
-      console.log(`Processing file: ${filePath}, Size: ${stats.size} bytes`);
+      log.info('Processing file', { filePath, fileName, size: stats.size });
     } catch (err) {
       throw new Error(`File not found at path: ${filePath}`);
     }
     
-    // Step 1: Load PDF file using pdf-parse directly (dynamic import to avoid initialization issues)
-    console.log('Loading PDF with pdf-parse...');
-    const pdfParse = (await import('pdf-parse')).default;
-    const dataBuffer = await fs.readFile(filePath);
-    const pdfData = await pdfParse(dataBuffer);
+    // Step 1: Load the file with the loader for its type. PDFs come back
+    // page by page so chunks can carry page numbers; structured formats
+    // also report their headings.
+    await report('parsing');
+    const type = fileType || await detectFileType(filePath, fileName);
+    if (!type) {
+      throw new Error('Unsupported or unrecognized file type');
+    }
+    
+    log.debug('Loading document', { fileType: type });
+    const { paginated, pageCount, pages } = await loadDocument(filePath, type, {
+      ocr,
+      signal,
+      onProgress: (completed, total) => report('ocr', completed, total)
+    });
+    const ocrConfidence = new Map(pages.filter(page => page.ocr).map(page => [page.pageNumber, page.ocr.confidence]));
+    const totalCharacters = pages.reduce((sum, page) => sum + page.text.length, 0);
     
-    if (!pdfData || !pdfData.text || pdfData.text.trim().length === 0) {
-      throw new Error('Failed to extract text from PDF or PDF is empty');
+    if (pages.every(page => page.text.trim().length === 0)) {
+      throw new Error(type === 'pdf'
+        ? 'Failed to extract text from PDF or PDF is empty'
+        : 'Failed to extract text from document or document is empty');
     }
     
-    const pageCount = pdfData.numpages;
-    console.log(`Loaded ${pageCount} pages, extracted ${pdfData.text.length} characters`);
+    log.info('Loaded document', { fileType: type, pageCount, ocrPageCount: ocrConfidence.size, characters: totalCharacters });
     
-    // Create a document object similar to LangChain's format
-    const docs = [{
-      pageContent: pdfData.text,
-      metadata: {
-        source: filePath,
-        pdf: {
-          totalPages: pdfData.numpages
-        }
-      }
-    }];
+    // Documents without pages count as one page
+    const pagesUsed = paginated ? pageCount : 1;
+    await meter?.check({ pages: pagesUsed });
+    await meter?.charge({ pages: pagesUsed });
     
-    // Step 2: Split documents into chunks
-    console.log('Splitting document into chunks...');
-    const textSplitter = new RecursiveCharacterTextSplitter({
-      chunkSize: 1000,
-      chunkOverlap: 200,
-    });
+    // Join pages into one document (so chunks may span page breaks) and
+    // remember where each page and section starts
+    const { text, pageRanges } = joinPages(pages);
+    const sections = resolveSections(pages, pageRanges);
+    const baseMetadata = {
+      source: filePath,
+      fileType: type,
+      totalPages: pageCount
+    };
+    
+    signal?.throwIfAborted();
     
-    const chunks = await textSplitter.splitDocuments(docs);
+    // Step 2: Split the text with the upload's chunking strategy. Chunkers
+    // that embed while splitting (semantic) are charged for those tokens too.
+    const { strategy, params } = chunking || resolveChunking();
+    await report('chunking');
+    log.debug('Splitting document into chunks', { strategy });
+    let chunkingTokens = 0;
+    const embed = async (inputs) => {
+      const tokens = inputs.reduce((sum, input) => sum + estimateTokens(input), 0);
+      await meter?.check({ embeddingTokens: tokens });
+      const vectors = await retry('chunking', () => embedTexts(inputs, {
+        signal,
+        onProgress: (completed) => report('chunking', completed, inputs.length)
+      }));
+      chunkingTokens += tokens;
+      await meter?.charge({ embeddingTokens: tokens });
+      return vectors;
+    };
+    
+    const pieces = await chunkText(text, { strategy, params }, { sections, embed });
+    const chunks = assignChunkPositions(pieces.map(piece => ({
+      pageContent: piece.text,
+      start: piece.start,
+      metadata: { ...baseMetadata, ...piece.metadata }
+    })), text, {
+      pageRanges,
+      sections,
+      paginated,
+      ocrConfidence
+    });
     const chunkCount = chunks.length;
-    console.log(`Created ${chunkCount} chunks`);
+    log.info('Split document into chunks', { strategy, chunkCount });
     
     if (chunks.length === 0) {
       throw new Error('No chunks created from document');
     }
     
-    // Step 3: Generate embeddings for chunks
-    console.log('Generating embeddings...');
-    const embeddings = getEmbeddings();
+    signal?.throwIfAborted();
     
-    // Extract text content from chunks
+    // Step 3: Generate embeddings for chunks. Vectors already in the
+    // embedding cache are reused, so a retried stage only pays for the
+    // batches that had not finished.
+    log.debug('Generating embeddings');
     const texts = chunks.map(chunk => chunk.pageContent);
+    const chunkTokens = texts.reduce((sum, text) => sum + estimateTokens(text), 0);
+    await meter?.check({ embeddingTokens: chunkTokens });
+    
+    // Charged in proportion to the chunks embedded so far; a retried
+    // attempt reports the same chunks again but only pays for new ones
+    let chargedTokens = 0;
+    const chargeEmbedded = async (completed) => {
+      const due = Math.round(chunkTokens * completed / chunkCount);
+      if (due > chargedTokens) {
+        await meter?.charge({ embeddingTokens: due - chargedTokens });
+        chargedTokens = due;
+      }
+    };
+    
+    await report('embedding', 0, chunkCount);
+    const vectors = await retry('embedding', () => embedTexts(texts, {
+      signal,
+      onProgress: async (completed) => {
+        await chargeEmbedded(completed);
+        await report('embedding', completed, chunkCount);
+      }
+    }));
+    log.info('Generated embeddings', { count: vectors.length });
+    
+    signal?.throwIfAborted();
+    
+    // Step 4: Store vectors in the vector store (upserts are idempotent, so
+    // a retry simply starts the stage over)
+    log.debug('Storing vectors');
+    await report('upserting', 0, chunkCount);
+    await retry('upserting', () => storeVectors(documentId, chunks, vectors, fileName, {
+      signal,
+      namespace,
+      onProgress: (stored) => report('upserting', stored, chunkCount)
+    }));
     
-    // Generate embeddings for all chunks
-    const vectors = await embeddings.embedDocuments(texts);
-    console.log(`Generated ${vectors.length} embeddings`);
+    signal?.throwIfAborted();
     
-    // Step 4: Store vectors in Pinecone
-    console.log('Storing vectors in Pinecone...');
-    await storeVectors(documentId, chunks, vectors, fileName);
-    console.log('Document processing completed successfully');
+    // Step 5: Build the BM25 keyword index used for hybrid retrieval
+    log.debug('Building keyword index');
+    await report('indexing');
+    await retry('indexing', () => buildKeywordIndex(documentId, buildChunkRecords(documentId, chunks, fileName)));
+    log.info('Document processing completed', { chunkCount });
     
     return {
       success: true,
-      pageCount,
+      fileType: type,
+      // Formats without pages (Markdown, HTML...) have no page count
+      pageCount: paginated ? pageCount : null,
       chunkCount,
+      embeddingTokens: chunkingTokens + chunkTokens,
+      sectionCount: sections.length,
+      ocrPageCount: ocrConfidence.size,
       documentId
     };
   } catch (error) {
-    console.error('Error processing document:', error);
-    throw new Error(`Failed to process PDF document: ${error.message}`);
+    log.error('Error processing document', { error });
+    throw new Error(`Failed to process document: ${error.message}`);
   }
 };
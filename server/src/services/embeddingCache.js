@@ -0,0 +1,106 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { getDataDir } from '../utils/jsonFileStore.js';
+import { hashText } from '../utils/hash.js';
+import { logger } from '../utils/logger.js';
+
+let embeddingCache = null;
+
+/**
+ * Cache key for one embedding: the model, the kind of embedding (query or
+ * document - some models embed them differently) and the text's hash
+ */
+export const embeddingCacheKey = (modelName, kind, text) => hashText(`${modelName}\n${kind}\n${hashText(text)}`);
+
+const encodeVector = (values) => Buffer.from(new Float32Array(values).buffer);
+
+const decodeVector = (buffer) => {
+  // Copy into a fresh buffer: Float32Array needs 4-byte aligned offsets
+  const bytes = new Uint8Array(buffer);
+  return Array.from(new Float32Array(bytes.buffer, 0, bytes.length / 4));
+};
+
+/**
+ * One file per embedding (raw float32) under
+ * `${DATA_DIR}/embedding-cache/<ab>/<key>.bin`, so adding an entry never
+ * rewrites the rest of the cache
+ */
+export const createFileEmbeddingCache = (rootDir = path.join(getDataDir(), 'embedding-cache')) => {
+  const entryPath = (key) => path.join(rootDir, key.slice(0, 2), `${key}.bin`);
+
+  const get = async (key) => {
+    try {
+      return decodeVector(await fs.readFile(entryPath(key)));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Failed to read cached embedding', { key, error });
+      }
+      return null;
+    }
+  };
+
+  const set = async (key, vector) => {
+    const filePath = entryPath(key);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(tempPath, encodeVector(vector));
+    await fs.rename(tempPath, filePath);
+  };
+
+  return { get, set };
+};
+
+const getMaxMemoryEntries = () => {
+  const parsed = parseInt(process.env.EMBEDDING_CACHE_MAX_ENTRIES, 10);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : 5000;
+};
+
+/**
+ * In-process cache holding at most `maxEntries` vectors (0 = no limit),
+ * evicting the least recently used. A Map iterates in insertion order, so
+ * entries are moved to the end whenever they are read or written.
+ */
+export const createMemoryEmbeddingCache = ({ maxEntries = getMaxMemoryEntries() } = {}) => {
+  const entries = new Map();
+
+  return {
+    get: async (key) => {
+      const vector = entries.get(key);
+      if (vector === undefined) {
+        return null;
+      }
+      entries.delete(key);
+      entries.set(key, vector);
+      return vector;
+    },
+    set: async (key, vector) => {
+      entries.delete(key);
+      entries.set(key, vector);
+      if (maxEntries > 0 && entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    }
+  };
+};
+
+/**
+ * Get the embedding cache selected by EMBEDDING_CACHE: 'file' (default),
+ * 'memory' or 'off' (null)
+ */
+export const getEmbeddingCache = () => {
+  if (embeddingCache === null) {
+    const backend = process.env.EMBEDDING_CACHE || 'file';
+
+    if (backend === 'off') {
+      embeddingCache = false;
+    } else if (backend === 'memory') {
+      embeddingCache = createMemoryEmbeddingCache();
+    } else if (backend === 'file') {
+      embeddingCache = createFileEmbeddingCache();
+    } else {
+      throw new Error(`Unknown EMBEDDING_CACHE "${backend}" (expected one of: file, memory, off)`);
+    }
+  }
+
+  return embeddingCache || null;
+};
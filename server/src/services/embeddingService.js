@@ -1,45 +1,183 @@
-import { GoogleGenerativeAIEmbeddings } from '@langchain/google-genai';
+import { setTimeout as delay } from 'timers/promises';
+import { createEmbeddings, getEmbeddingConfig } from './providerRegistry.js';
+import { embeddingCacheKey, getEmbeddingCache } from './embeddingCache.js';
+import { createPerMinuteBucket } from '../utils/tokenBucket.js';
+import { estimateTokens } from '../utils/tokens.js';
+import { logger } from '../utils/logger.js';
+import { embedDuration, timed } from './metricsService.js';
 
 let embeddingsInstance = null;
+let rateLimiters = null;
 
+const readInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+// Texts sent per embedding request
+const getBatchSize = () => Math.max(readInt(process.env.EMBEDDING_BATCH_SIZE, 100), 1);
+
+// Retries of a rate-limited (429) request, and the first backoff delay
+const getMaxRetries = () => readInt(process.env.EMBEDDING_MAX_RETRIES, 5);
+const getBackoffMs = () => readInt(process.env.EMBEDDING_BACKOFF_MS, 1000);
 
+
+/**
+ * Get the embeddings model selected by EMBEDDING_PROVIDER / EMBEDDING_MODEL
+ */
 export const getEmbeddings = () => {
   if (!embeddingsInstance) {
-    const apiKey = process.env.GEMINI_API_KEY;
+    embeddingsInstance = createEmbeddings();
+  }
+  
+  return embeddingsInstance;
+};
+
+
+/**
+ * Identify the embedding model in use, e.g. "google:text-embedding-004"
+ */
+export const getEmbeddingModelName = () => {
+  const { provider, model } = getEmbeddingConfig();
+  return `${provider}:${model}`;
+};
+
+
+/**
+ * Token buckets shared by every embedding request in the process
+ * (EMBEDDING_REQUESTS_PER_MINUTE, EMBEDDING_TOKENS_PER_MINUTE; unset = no limit)
+ */
+const getRateLimiters = () => {
+  if (!rateLimiters) {
+    rateLimiters = {
+      requests: createPerMinuteBucket(process.env.EMBEDDING_REQUESTS_PER_MINUTE),
+      tokens: createPerMinuteBucket(process.env.EMBEDDING_TOKENS_PER_MINUTE)
+    };
+  }
+  
+  return rateLimiters;
+};
+
+
+/**
+ * Whether the provider throttled the request (HTTP 429). Errors without a
+ * status are judged by their message.
+ */
+const isRateLimitError = (error) => {
+  const status = error.status ?? error.statusCode ?? error.response?.status;
+  if (status !== undefined) {
+    return Number(status) === 429;
+  }
+  return /\b429\b|too many requests|rate limit/i.test(error.message || '');
+};
+
+
+/**
+ * Send one embedding request once the rate limiters allow it, backing off
+ * exponentially (or as long as the provider's Retry-After says) on 429s
+ */
+const requestWithBackoff = async (texts, task, { signal } = {}) => {
+  const maxRetries = getMaxRetries();
+  const { requests, tokens } = getRateLimiters();
+  
+  for (let attempt = 0; ; attempt++) {
+    await requests?.take(1, { signal });
+    await tokens?.take(texts.reduce((sum, text) => sum + estimateTokens(text), 0), { signal });
     
-    if (!apiKey) {
-      throw new Error('GEMINI_API_KEY environment variable is not set');
+    try {
+      return await task(texts);
+    } catch (error) {
+      if (!isRateLimitError(error) || attempt >= maxRetries) {
+        throw error;
+      }
+      
+      const backoff = getBackoffMs() * 2 ** attempt;
+      const wait = error.retryAfterMs ?? Math.round(backoff + Math.random() * backoff * 0.25);
+      logger.warn('Embedding request rate limited, retrying', { retryInMs: wait, retry: attempt + 1, maxRetries });
+      await delay(wait, undefined, { signal });
+    }
+  }
+};
+
+
+/**
+ * Embed texts through the cache: hits are read back, misses are embedded
+ * in bounded batches (each distinct text once) and written to the cache.
+ * `onProgress(completed, total)` is awaited as texts get their vectors.
+ */
+const embedWithCache = async (kind, texts, embedBatch, { signal, onProgress } = {}) => {
+  const cache = getEmbeddingCache();
+  const modelName = getEmbeddingModelName();
+  const batchSize = getBatchSize();
+  const vectors = new Array(texts.length).fill(null);
+  const keys = texts.map(text => embeddingCacheKey(modelName, kind, text));
+  
+  if (cache) {
+    for (let i = 0; i < texts.length; i += batchSize) {
+      const hits = await Promise.all(keys.slice(i, i + batchSize).map(key => cache.get(key)));
+      hits.forEach((vector, j) => { vectors[i + j] = vector; });
+    }
+  }
+  
+  // Distinct texts still missing -> the positions waiting for them
+  const missing = new Map();
+  texts.forEach((text, i) => {
+    if (!vectors[i]) {
+      missing.set(text, [...(missing.get(text) || []), i]);
     }
+  });
+  
+  let completed = texts.length - [...missing.values()].reduce((sum, positions) => sum + positions.length, 0);
+  await onProgress?.(completed, texts.length);
+  
+  const pending = [...missing.keys()];
+  for (let i = 0; i < pending.length; i += batchSize) {
+    signal?.throwIfAborted();
+    const batch = pending.slice(i, i + batchSize);
+    const results = await requestWithBackoff(batch, embedBatch, { signal });
     
-    embeddingsInstance = new GoogleGenerativeAIEmbeddings({
-      apiKey: apiKey,
-      modelName: 'text-embedding-004',
-    });
+    await Promise.all(batch.map(async (text, j) => {
+      const positions = missing.get(text);
+      positions.forEach(position => { vectors[position] = results[j]; });
+      completed += positions.length;
+      
+      await cache?.set(keys[positions[0]], results[j])
+        .catch(err => logger.error('Failed to cache embedding', { error: err }));
+    }));
+    
+    await onProgress?.(completed, texts.length);
   }
   
-  return embeddingsInstance;
+  return vectors;
 };
 
 
-export const embedText = async (text) => {
+export const embedText = async (text, { signal } = {}) => {
   try {
     const embeddings = getEmbeddings();
-    const vector = await embeddings.embedQuery(text);
+    const [vector] = await timed(embedDuration, { kind: 'query' }, () => embedWithCache('query', [text],
+      batch => Promise.all(batch.map(item => embeddings.embedQuery(item))),
+      { signal }));
     return vector;
   } catch (error) {
-    console.error('Error generating embedding:', error);
+    logger.error('Error generating embedding', { error });
     throw new Error(`Failed to generate embedding: ${error.message}`);
   }
 };
 
 
-export const embedTexts = async (texts) => {
+/**
+ * Embed document chunks (cached, batched and rate limited)
+ */
+export const embedTexts = async (texts, { signal, onProgress } = {}) => {
   try {
     const embeddings = getEmbeddings();
-    const vectors = await embeddings.embedDocuments(texts);
+    const vectors = await timed(embedDuration, { kind: 'document' }, () => embedWithCache('document', texts,
+      batch => embeddings.embedDocuments(batch),
+      { signal, onProgress }));
     return vectors;
   } catch (error) {
-    console.error('Error generating embeddings:', error);
+    logger.error('Error generating embeddings', { error });
     throw new Error(`Failed to generate embeddings: ${error.message}`);
   }
 };
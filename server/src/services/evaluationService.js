@@ -0,0 +1,453 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { processDocument } from './documentService.js';
+import { resolveChunking } from './chunkerRegistry.js';
+import { processQuery } from './queryService.js';
+import { deleteDocumentVectors } from './vectorStoreService.js';
+import { deleteKeywordIndex, tokenize } from './keywordIndexService.js';
+import { getChatModel, getChatConfig, getEmbeddingConfig } from './providerRegistry.js';
+import { getProfile, getDefaultProfileName } from './promptService.js';
+import { getTenantNamespace } from '../utils/tenant.js';
+import { logger } from '../utils/logger.js';
+
+// Fixtures are indexed as this tenant, so evaluation runs never mix with
+// (or show up in) real tenants' data
+const EVALUATION_TENANT_ID = 'eval';
+
+// Cut-offs recall is reported at unless the caller chooses others
+export const DEFAULT_RECALL_KS = [1, 3, 5, 10];
+
+// Share of a sentence's content words the sources must contain for the
+// overlap judge to count it as supported
+const SUPPORT_THRESHOLD = 0.6;
+
+// Sentences with fewer content words (e.g. "Yes.") are not judged
+const MIN_CLAIM_TERMS = 3;
+
+// Source text sent to the LLM judge, to keep the prompt bounded
+const LLM_SOURCE_LENGTH = 1500;
+
+// Words that say nothing about whether a claim is grounded
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'because', 'but', 'by', 'can', 'do', 'does', 'for', 'from',
+  'has', 'have', 'how', 'if', 'in', 'into', 'is', 'it', 'its', 'not', 'of', 'on', 'or', 'so', 'such',
+  'than', 'that', 'the', 'their', 'then', 'there', 'these', 'this', 'to', 'was', 'were', 'what', 'when',
+  'which', 'while', 'with', 'you', 'your'
+]);
+
+
+/**
+ * Read a golden file and normalize it. Fixture paths are resolved against
+ * the golden file's directory. Every question names its fixture(s) and
+ * the pages that answer it, either as `expectedPages` (single fixture) or
+ * as `expected: [{ fixture, pages }]`.
+ */
+export const loadGoldenSet = async (goldenPath) => {
+  const golden = JSON.parse(await fs.readFile(goldenPath, 'utf8'));
+  const baseDir = path.dirname(path.resolve(goldenPath));
+
+  if (!Array.isArray(golden.fixtures) || golden.fixtures.length === 0) {
+    throw new Error('Golden file must list at least one fixture');
+  }
+  if (!Array.isArray(golden.questions) || golden.questions.length === 0) {
+    throw new Error('Golden file must list at least one question');
+  }
+
+  const fixtures = golden.fixtures.map(fixture => {
+    if (!fixture.id || !fixture.file) {
+      throw new Error('Every fixture needs an id and a file');
+    }
+    return { id: fixture.id, file: path.resolve(baseDir, fixture.file) };
+  });
+  const fixtureIds = new Set(fixtures.map(fixture => fixture.id));
+
+  const questions = golden.questions.map((question, i) => {
+    const id = question.id || `q${i + 1}`;
+    const questionFixtures = question.fixtures || (question.fixture ? [question.fixture] : [...fixtureIds]);
+
+    const expected = question.expected
+      ? question.expected.flatMap(({ fixture, pages }) => pages.map(page => ({ fixture, page })))
+      : (question.expectedPages || []).map(page => {
+        if (questionFixtures.length !== 1) {
+          throw new Error(`Question ${id}: use "expected" to name pages across several fixtures`);
+        }
+        return { fixture: questionFixtures[0], page };
+      });
+
+    for (const fixture of [...questionFixtures, ...expected.map(item => item.fixture)]) {
+      if (!fixtureIds.has(fixture)) {
+        throw new Error(`Question ${id}: unknown fixture "${fixture}"`);
+      }
+    }
+    if (!question.question || expected.length === 0) {
+      throw new Error(`Question ${id}: needs a question and at least one expected page`);
+    }
+
+    return {
+      id,
+      question: question.question,
+      fixtures: questionFixtures,
+      expected,
+      referenceAnswer: question.referenceAnswer || null
+    };
+  });
+
+  return { description: golden.description || null, path: path.resolve(goldenPath), fixtures, questions };
+};
+
+
+/**
+ * Ingest the fixtures into the evaluation namespace with the given
+ * chunking ({ strategy, params }, defaults when omitted). Resolves to fixture id -> { documentId, fileName, pageCount, chunkCount }.
+ */
+export const ingestFixtures = async (fixtures, { namespace = getTenantNamespace(EVALUATION_TENANT_ID), chunking } = {}) => {
+  const ingested = new Map();
+
+  for (const fixture of fixtures) {
+    const documentId = uuidv4();
+    const fileName = path.basename(fixture.file);
+    logger.info('Ingesting evaluation fixture', { fixture: fixture.id, fileName, documentId });
+
+    // Registered before processing so a failure still gets cleaned up
+    ingested.set(fixture.id, { documentId, fileName, pageCount: null, chunkCount: null });
+    const result = await processDocument(fixture.file, documentId, fileName, { namespace, chunking });
+    ingested.set(fixture.id, { documentId, fileName, pageCount: result.pageCount, chunkCount: result.chunkCount });
+  }
+
+  return ingested;
+};
+
+
+/**
+ * Delete the fixtures' vectors and keyword indexes
+ */
+export const removeFixtures = async (ingested, { namespace = getTenantNamespace(EVALUATION_TENANT_ID) } = {}) => {
+  for (const { documentId } of ingested.values()) {
+    await deleteDocumentVectors(documentId, { namespace })
+      .catch(err => logger.error('Failed to delete evaluation vectors', { documentId, error: err }));
+    await deleteKeywordIndex(documentId)
+      .catch(err => logger.error('Failed to delete evaluation keyword index', { documentId, error: err }));
+  }
+};
+
+
+const coversPage = (source, documentId, page) => {
+  const start = source.pageStart ?? source.page;
+  const end = source.pageEnd ?? start;
+  return source.documentId === documentId && start !== null && start <= page && page <= end;
+};
+
+/**
+ * Share of the expected pages ({ documentId, page }) covered by the first
+ * `k` sources
+ */
+export const recallAtK = (sources, expected, k) => {
+  const top = sources.slice(0, k);
+  const found = expected.filter(({ documentId, page }) => top.some(source => coversPage(source, documentId, page)));
+  return found.length / expected.length;
+};
+
+/**
+ * 1 / rank of the first source covering an expected page (0 if none does)
+ */
+export const reciprocalRank = (sources, expected) => {
+  const index = sources.findIndex(source => expected.some(({ documentId, page }) => coversPage(source, documentId, page)));
+  return index === -1 ? 0 : 1 / (index + 1);
+};
+
+
+const contentTerms = (text) => tokenize(text).filter(term => term.length > 1 && !STOPWORDS.has(term));
+
+/**
+ * Token-level F1 between the answer and the reference answer
+ */
+export const answerF1 = (answer, reference) => {
+  const answerTerms = contentTerms(answer);
+  const referenceTerms = contentTerms(reference);
+  if (answerTerms.length === 0 || referenceTerms.length === 0) {
+    return 0;
+  }
+
+  const remaining = new Map();
+  for (const term of referenceTerms) {
+    remaining.set(term, (remaining.get(term) || 0) + 1);
+  }
+
+  let common = 0;
+  for (const term of answerTerms) {
+    if (remaining.get(term) > 0) {
+      remaining.set(term, remaining.get(term) - 1);
+      common++;
+    }
+  }
+
+  if (common === 0) {
+    return 0;
+  }
+  const precision = common / answerTerms.length;
+  const recall = common / referenceTerms.length;
+  return (2 * precision * recall) / (precision + recall);
+};
+
+
+const splitClaims = (answer) => answer
+  .replace(/\[\d+(?:\s*,\s*\d+)*\]/g, ' ')
+  .split(/(?<=[.!?])\s+|\n+/)
+  .map(sentence => sentence.replace(/^[\s*#>-]+/, '').trim())
+  .filter(sentence => contentTerms(sentence).length >= MIN_CLAIM_TERMS);
+
+/**
+ * Share of the answer's sentences whose content words appear in the
+ * sources. Deterministic and free, but blind to paraphrase.
+ */
+const overlapJudge = async (answer, sources) => {
+  const claims = splitClaims(answer);
+  if (claims.length === 0) {
+    return null;
+  }
+
+  const sourceTerms = new Set(sources.flatMap(source => contentTerms(source.text || '')));
+  const supported = claims.filter(claim => {
+    const terms = contentTerms(claim);
+    return terms.filter(term => sourceTerms.has(term)).length / terms.length >= SUPPORT_THRESHOLD;
+  });
+
+  return supported.length / claims.length;
+};
+
+/**
+ * Ask the configured chat model how well the sources support the answer
+ */
+const llmJudge = async (answer, sources) => {
+  const passages = sources
+    .map(source => `[${source.id}] ${(source.text || '').slice(0, LLM_SOURCE_LENGTH)}`)
+    .join('\n\n');
+
+  const prompt = `You are checking an answer for faithfulness to its sources. Rate from 0 to 10 how much of the answer is supported by the sources below: 10 means every claim is stated in or directly follows from them, 0 means none is.
+
+Sources:
+${passages}
+
+Answer:
+${answer}
+
+Reply with only the number.`;
+
+  const response = await getChatModel({ temperature: 0 }).invoke(prompt);
+  const content = typeof response.content === 'string' ? response.content : '';
+  const grade = Number(content.match(/\d+(?:\.\d+)?/)?.[0]);
+
+  if (!Number.isFinite(grade)) {
+    throw new Error('LLM judge returned an unexpected response');
+  }
+  return Math.min(Math.max(grade, 0), 10) / 10;
+};
+
+// Faithfulness judges by name: (answer, sources) -> score in [0, 1], or
+// null when there is nothing to judge
+const judges = new Map([
+  ['overlap', overlapJudge],
+  ['llm', llmJudge]
+]);
+
+export const getJudgeNames = () => [...judges.keys()];
+
+/**
+ * Faithfulness of an answer to the sources it was generated from
+ */
+export const scoreFaithfulness = async (answer, sources, judge = 'overlap') => {
+  const scorer = judges.get(judge);
+  if (!scorer) {
+    throw new Error(`Unknown faithfulness judge "${judge}"`);
+  }
+  if (sources.length === 0) {
+    return null;
+  }
+
+  try {
+    return await scorer(answer, sources);
+  } catch (error) {
+    logger.warn('Faithfulness judge failed, falling back to overlap', { judge, error });
+    return overlapJudge(answer, sources);
+  }
+};
+
+
+const mean = (values) => {
+  const present = values.filter(value => value !== null && value !== undefined);
+  return present.length > 0 ? present.reduce((sum, value) => sum + value, 0) / present.length : null;
+};
+
+const round = (value) => (value === null ? null : Number(value.toFixed(4)));
+
+/**
+ * Run one golden question through processQuery against the ingested
+ * fixtures and score the retrieval and the answer
+ */
+const evaluateQuestion = async (question, ingested, { ks, retrieval, profile, judge, namespace }) => {
+  const documentIds = question.fixtures.map(fixture => ingested.get(fixture).documentId);
+  const expected = question.expected.map(({ fixture, page }) => ({ documentId: ingested.get(fixture).documentId, page }));
+  const fixtureByDocument = new Map([...ingested].map(([fixture, { documentId }]) => [documentId, fixture]));
+  const started = Date.now();
+
+  try {
+    const result = await processQuery(documentIds, question.question, [], {
+      retrieval: { ...retrieval, namespace },
+      profile,
+      includeSourceText: true
+    });
+
+    return {
+      id: question.id,
+      question: question.question,
+      query: result.query,
+      expected: question.expected,
+      retrieved: result.sources.map((source, i) => ({
+        rank: i + 1,
+        fixture: fixtureByDocument.get(source.documentId) ?? null,
+        pageStart: source.pageStart,
+        pageEnd: source.pageEnd,
+        score: source.score
+      })),
+      recall: Object.fromEntries(ks.map(k => [k, round(recallAtK(result.sources, expected, k))])),
+      reciprocalRank: round(reciprocalRank(result.sources, expected)),
+      faithfulness: round(await scoreFaithfulness(result.answer, result.sources, judge)),
+      answerF1: question.referenceAnswer ? round(answerF1(result.answer, question.referenceAnswer)) : null,
+      answer: result.answer,
+      referenceAnswer: question.referenceAnswer,
+      latencyMs: Date.now() - started
+    };
+  } catch (error) {
+    logger.error('Evaluation question failed', { question: question.id, error });
+
+    return {
+      id: question.id,
+      question: question.question,
+      expected: question.expected,
+      retrieved: [],
+      recall: Object.fromEntries(ks.map(k => [k, 0])),
+      reciprocalRank: 0,
+      faithfulness: null,
+      answerF1: question.referenceAnswer ? 0 : null,
+      error: error.message,
+      latencyMs: Date.now() - started
+    };
+  }
+};
+
+/**
+ * Ingest the golden set's fixtures, answer its questions and report
+ * recall@k, MRR, faithfulness and F1 against the reference answers.
+ * Fixtures are removed again afterwards. `retrieval` holds the per-request
+ * retrieval options (mode, topK, reranker, ...) under evaluation and
+ * `chunking` the { strategy, params } the fixtures are split with.
+ */
+export const runEvaluation = async (golden, { ks = DEFAULT_RECALL_KS, retrieval = {}, chunking = resolveChunking(), profile: profileName, judge = 'overlap', label } = {}) => {
+  const namespace = getTenantNamespace(EVALUATION_TENANT_ID);
+  const profile = await getProfile(profileName || getDefaultProfileName());
+  if (!profile) {
+    throw new Error(`Unknown profile "${profileName}"`);
+  }
+
+  const startedAt = new Date().toISOString();
+  let ingested = new Map();
+
+  try {
+    ingested = await ingestFixtures(golden.fixtures, { namespace, chunking });
+
+    const questions = [];
+    for (const question of golden.questions) {
+      const result = await evaluateQuestion(question, ingested, { ks, retrieval, profile, judge, namespace });
+      logger.info('Evaluated question', {
+        question: question.id,
+        reciprocalRank: result.reciprocalRank,
+        faithfulness: result.faithfulness
+      });
+      questions.push(result);
+    }
+
+    return {
+      label: label || null,
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      config: {
+        golden: golden.path,
+        description: golden.description,
+        ks,
+        retrieval,
+        chunking,
+        profile: profile.name,
+        judge,
+        embedding: getEmbeddingConfig(),
+        chat: getChatConfig(),
+        vectorStore: process.env.VECTOR_STORE || 'pinecone',
+        fixtures: Object.fromEntries([...ingested].map(([fixture, { fileName, pageCount, chunkCount }]) => [
+          fixture,
+          { fileName, pageCount, chunkCount }
+        ]))
+      },
+      summary: {
+        questions: questions.length,
+        errors: questions.filter(question => question.error).length,
+        recall: Object.fromEntries(ks.map(k => [k, round(mean(questions.map(question => question.recall[k])))])),
+        mrr: round(mean(questions.map(question => question.reciprocalRank))),
+        faithfulness: round(mean(questions.map(question => question.faithfulness))),
+        answerF1: round(mean(questions.map(question => question.answerF1))),
+        meanLatencyMs: Math.round(mean(questions.map(question => question.latencyMs)))
+      },
+      questions
+    };
+  } finally {
+    await removeFixtures(ingested, { namespace });
+  }
+};
+
+
+const formatScore = (value) => (value === null || value === undefined ? '–' : value.toFixed(3));
+
+const escapeCell = (text) => String(text).replace(/\|/g, '\\|').replace(/\s+/g, ' ');
+
+/**
+ * Markdown version of an evaluation report, for reading and diffing runs
+ */
+export const renderMarkdownReport = (report) => {
+  const { config, summary, questions } = report;
+  const ks = config.ks;
+  const retrieval = Object.entries(config.retrieval).map(([name, value]) => `${name}=${value}`).join(', ') || 'defaults';
+
+  const lines = [
+    `# Evaluation report${report.label ? `: ${report.label}` : ''}`,
+    '',
+    `- Run: ${report.startedAt} – ${report.finishedAt}`,
+    `- Golden set: \`${config.golden}\`${config.description ? ` (${config.description})` : ''}`,
+    `- Retrieval: ${retrieval}`,
+    `- Chunking: ${config.chunking.strategy} (${Object.entries(config.chunking.params).map(([name, value]) => `${name}=${value}`).join(', ')})`,
+    `- Profile: ${config.profile}; faithfulness judge: ${config.judge}`,
+    `- Embeddings: ${config.embedding.provider}/${config.embedding.model}; chat: ${config.chat.provider}/${config.chat.model}; vector store: ${config.vectorStore}`,
+    `- Fixtures: ${Object.entries(config.fixtures).map(([id, fixture]) => `${id} (${fixture.pageCount ?? '–'} pages, ${fixture.chunkCount} chunks)`).join(', ')}`,
+    '',
+    '## Summary',
+    '',
+    `| Questions | Errors | ${ks.map(k => `Recall@${k}`).join(' | ')} | MRR | Faithfulness | Answer F1 | Mean latency |`,
+    `|---|---|${ks.map(() => '---|').join('')}---|---|---|---|`,
+    `| ${summary.questions} | ${summary.errors} | ${ks.map(k => formatScore(summary.recall[k])).join(' | ')} | ${formatScore(summary.mrr)} | ${formatScore(summary.faithfulness)} | ${formatScore(summary.answerF1)} | ${summary.meanLatencyMs} ms |`,
+    '',
+    '## Questions',
+    '',
+    `| Question | Expected | Top sources | ${ks.map(k => `R@${k}`).join(' | ')} | RR | Faithfulness | F1 |`,
+    `|---|---|---|${ks.map(() => '---|').join('')}---|---|---|`,
+    ...questions.map(question => {
+      const expected = question.expected.map(({ fixture, page }) => `${fixture} p.${page}`).join(', ');
+      const top = question.error
+        ? `error: ${question.error}`
+        : question.retrieved.slice(0, 3)
+          .map(source => `${source.fixture} p.${source.pageStart}${source.pageEnd !== source.pageStart ? `-${source.pageEnd}` : ''}`)
+          .join(', ');
+      return `| ${escapeCell(question.id)} | ${expected} | ${escapeCell(top)} | ${ks.map(k => formatScore(question.recall[k])).join(' | ')} | ${formatScore(question.reciprocalRank)} | ${formatScore(question.faithfulness)} | ${formatScore(question.answerF1)} |`;
+    }),
+    ''
+  ];
+
+  return lines.join('\n');
+};
@@ -0,0 +1,247 @@
+import { setTimeout as delay } from 'timers/promises';
+import fs from 'fs/promises';
+import { processDocument } from './documentService.js';
+import { publishDocumentEvent } from './documentEvents.js';
+import { getDocumentRepository } from '../repositories/documentRepository.js';
+import { getTenantNamespace } from '../utils/tenant.js';
+import { logger, runWithLogContext } from '../utils/logger.js';
+import { ingestionsTotal, ingestionDuration } from './metricsService.js';
+
+// Share of the overall progress each stage covers: [start, end] percent
+const STAGE_RANGES = {
+  queued: [0, 0],
+  parsing: [0, 5],
+  ocr: [5, 10],
+  chunking: [10, 15],
+  embedding: [15, 75],
+  upserting: [75, 95],
+  indexing: [95, 100],
+  completed: [100, 100]
+};
+
+// Jobs waiting for a free worker, in upload order
+const pending = [];
+
+// Every job not finished yet (queued or running): documentId -> job
+const jobs = new Map();
+
+let running = 0;
+
+const readNonNegativeInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+/**
+ * Number of documents ingested at the same time (INGESTION_CONCURRENCY, default 2)
+ */
+export const getConcurrency = () => Math.max(readNonNegativeInt(process.env.INGESTION_CONCURRENCY, 2), 1);
+
+const getMaxRetries = () => readNonNegativeInt(process.env.INGESTION_MAX_RETRIES, 3);
+
+const getRetryDelay = () => readNonNegativeInt(process.env.INGESTION_RETRY_DELAY_MS, 1000);
+
+const toPercent = (stage, completed, total) => {
+  const [start, end] = STAGE_RANGES[stage] || [0, 0];
+  const fraction = total > 0 ? Math.min(completed / total, 1) : 0;
+  return Math.round(start + (end - start) * fraction);
+};
+
+/**
+ * Persist the job's current stage so GET /api/documents/:id can show it
+ */
+const reportProgress = async (job, { stage, completed = 0, total = 0 }) => {
+  job.progress = {
+    stage,
+    completed,
+    total,
+    percent: toPercent(stage, completed, total),
+    retries: job.retries,
+    ...(job.lastError && { lastError: job.lastError }),
+    updatedAt: new Date().toISOString()
+  };
+
+  await getDocumentRepository().update(job.documentId, { progress: job.progress })
+    .then(document => publishDocumentEvent('progress', document))
+    .catch(err => logger.error('Failed to record progress', { error: err }));
+};
+
+/**
+ * Run a stage, retrying it with exponential backoff when it fails.
+ * Cancellation interrupts the wait between attempts.
+ */
+const createRetry = (job) => async (stage, task) => {
+  const maxRetries = getMaxRetries();
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await task();
+    } catch (error) {
+      if (job.controller.signal.aborted || attempt > maxRetries) {
+        throw error;
+      }
+
+      const wait = getRetryDelay() * 2 ** (attempt - 1);
+      job.retries += 1;
+      job.lastError = { stage, message: error.message, at: new Date().toISOString() };
+      logger.warn('Ingestion stage failed, retrying', { stage, attempt, maxAttempts: maxRetries + 1, retryInMs: wait, error });
+
+      await reportProgress(job, { ...job.progress, stage });
+      await delay(wait, undefined, { signal: job.controller.signal });
+    }
+  }
+};
+
+/**
+ * Remove the uploaded file and forget the job. `job.done` resolves with
+ * the processing result, or null when the job failed or was cancelled.
+ */
+const finishJob = (job, result = null) => {
+  jobs.delete(job.documentId);
+
+  fs.unlink(job.filePath).catch(err => {
+    logger.error('Failed to delete temporary file', { filePath: job.filePath, error: err });
+  });
+
+  job.resolveDone(result);
+};
+
+const runJob = async (job) => {
+  const documents = getDocumentRepository();
+  const { documentId, controller } = job;
+  const endTimer = ingestionDuration.startTimer();
+  const recordOutcome = (outcome) => {
+    ingestionsTotal.inc({ outcome });
+    endTimer({ outcome });
+  };
+
+  try {
+    const result = await processDocument(job.filePath, documentId, job.fileName, {
+      fileType: job.fileType,
+      ocr: job.ocr,
+      chunking: job.chunking,
+      meter: job.meter,
+      namespace: getTenantNamespace(job.tenantId),
+      signal: controller.signal,
+      onProgress: (progress) => reportProgress(job, progress),
+      retry: createRetry(job)
+    });
+
+    // Cancelled after the last stage: the document must not become ready
+    if (controller.signal.aborted) {
+      logger.info('Document processing cancelled');
+      recordOutcome('cancelled');
+      return null;
+    }
+
+    // Every chunk is done, so clients computing completed/total get 100%
+    await reportProgress(job, { stage: 'completed', completed: result.chunkCount, total: result.chunkCount });
+    const document = await documents.setStatus(documentId, 'ready', {
+      pageCount: result.pageCount,
+      chunkCount: result.chunkCount,
+      ocrPageCount: result.ocrPageCount
+    });
+    publishDocumentEvent('status', document);
+    recordOutcome('ready');
+    return result;
+  } catch (error) {
+    // Cancelled: whoever cancelled decides what happens to the document
+    if (controller.signal.aborted) {
+      logger.info('Document processing cancelled');
+      recordOutcome('cancelled');
+      return null;
+    }
+
+    logger.error('Document processing failed', { error });
+    recordOutcome('failed');
+    await documents.setStatus(documentId, 'failed', { error: error.message })
+      .then(document => publishDocumentEvent('status', document))
+      .catch(err => logger.error('Failed to record document failure', { error: err }));
+    return null;
+  }
+};
+
+/**
+ * Start queued jobs while workers are free
+ */
+const drain = () => {
+  while (running < getConcurrency() && pending.length > 0) {
+    const job = pending.shift();
+    running += 1;
+
+    // Logs of the job carry the upload's request ID
+    runWithLogContext({ requestId: job.requestId, documentId: job.documentId }, () => runJob(job)).then(result => {
+      running -= 1;
+      finishJob(job, result);
+      drain();
+    });
+  }
+};
+
+/**
+ * Queue a stored upload for ingestion. The document must already exist
+ * with status `processing`; the job moves it to `ready` or `failed` and
+ * deletes the uploaded file when it finishes. `requestId` is the upload
+ * request's correlation ID, attached to the job's logs, and `meter` the
+ * client's daily quota meter (see processDocument).
+ */
+export const enqueueIngestion = async ({ documentId, tenantId, requestId, filePath, fileName, fileType, ocr, chunking, meter }) => {
+  let resolveDone;
+  const job = {
+    documentId,
+    tenantId,
+    requestId,
+    filePath,
+    fileName,
+    fileType,
+    ocr,
+    chunking,
+    meter,
+    controller: new AbortController(),
+    done: new Promise(resolve => { resolveDone = resolve; }),
+    resolveDone,
+    retries: 0,
+    lastError: null,
+    progress: null
+  };
+
+  jobs.set(documentId, job);
+  pending.push(job);
+  await reportProgress(job, { stage: 'queued' });
+
+  drain();
+  return job;
+};
+
+/**
+ * Cancel a document's ingestion and wait until it has stopped, so nothing
+ * is written for it afterwards. Returns false when no job was found.
+ */
+export const cancelIngestion = async (documentId) => {
+  const job = jobs.get(documentId);
+  if (!job) {
+    return false;
+  }
+
+  job.controller.abort();
+
+  // Not started yet: drop it from the queue directly
+  const index = pending.indexOf(job);
+  if (index !== -1) {
+    pending.splice(index, 1);
+    ingestionsTotal.inc({ outcome: 'cancelled' });
+    finishJob(job);
+  }
+
+  await job.done;
+  return true;
+};
+
+/**
+ * 1-based position of a document among the jobs waiting for a worker, or
+ * null when it is running or not queued
+ */
+export const getQueuePosition = (documentId) => {
+  const index = pending.findIndex(job => job.documentId === documentId);
+  return index === -1 ? null : index + 1;
+};
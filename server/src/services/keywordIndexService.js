@@ -0,0 +1,205 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { getDataDir } from '../utils/jsonFileStore.js';
+import { logger } from '../utils/logger.js';
+
+// BM25 parameters (standard Okapi defaults)
+const K1 = 1.2;
+const B = 0.75;
+
+// Parsed indexes by documentId, loaded from disk on first use and kept in
+// least recently used order (a Map iterates in insertion order)
+const indexCache = new Map();
+
+const getMaxCachedIndexes = () => {
+  const parsed = parseInt(process.env.KEYWORD_INDEX_CACHE_MAX_ENTRIES, 10);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : 100;
+};
+
+/**
+ * Remember an index as the most recently used, evicting the least recently
+ * used beyond KEYWORD_INDEX_CACHE_MAX_ENTRIES (0 = no limit)
+ */
+const cacheIndex = (documentId, index) => {
+  indexCache.delete(documentId);
+  indexCache.set(documentId, index);
+
+  const maxEntries = getMaxCachedIndexes();
+  while (maxEntries > 0 && indexCache.size > maxEntries) {
+    indexCache.delete(indexCache.keys().next().value);
+  }
+};
+
+
+const getIndexDir = () => path.join(getDataDir(), 'keyword-index');
+
+const getIndexPath = (documentId) => path.join(getIndexDir(), `${documentId}.json`);
+
+
+/**
+ * Split text into search terms. Besides plain words this keeps hyphenated
+ * names whole ("floyd-warshall", with en/em dashes normalized) and
+ * big-O expressions ("o(n log n)") so exact identifiers can be matched.
+ */
+export const tokenize = (text) => {
+  const normalized = text.toLowerCase().replace(/[‐-―]/g, '-');
+  const terms = normalized.match(/[\p{L}\p{N}_]+/gu) || [];
+  
+  const compounds = normalized.match(/[\p{L}\p{N}_]+(?:-[\p{L}\p{N}_]+)+/gu) || [];
+  const complexities = (normalized.match(/\bo\([^()]{1,30}\)/g) || [])
+    .map(expression => expression.replace(/\s+/g, ' ').replace(/\(\s/, '(').replace(/\s\)$/, ')'));
+  
+  return [...terms, ...compounds, ...complexities];
+};
+
+
+const countTerms = (terms) => {
+  const counts = {};
+  for (const term of terms) {
+    counts[term] = (counts[term] || 0) + 1;
+  }
+  return counts;
+};
+
+
+/**
+ * Build and persist the keyword index for a document.
+ * `records` are the chunk records also sent to the vector store:
+ * [{ id, metadata: { text, ... } }]
+ */
+export const buildKeywordIndex = async (documentId, records) => {
+  try {
+    const chunks = records.map(record => {
+      const termCounts = countTerms(tokenize(record.metadata.text || ''));
+      const length = Object.values(termCounts).reduce((sum, count) => sum + count, 0);
+      return { id: record.id, metadata: record.metadata, termCounts, length };
+    });
+    
+    const documentFrequency = {};
+    for (const chunk of chunks) {
+      for (const term of Object.keys(chunk.termCounts)) {
+        documentFrequency[term] = (documentFrequency[term] || 0) + 1;
+      }
+    }
+    
+    const index = {
+      documentId,
+      chunkCount: chunks.length,
+      totalLength: chunks.reduce((sum, chunk) => sum + chunk.length, 0),
+      documentFrequency,
+      chunks
+    };
+    
+    await fs.mkdir(getIndexDir(), { recursive: true });
+    await fs.writeFile(getIndexPath(documentId), JSON.stringify(index));
+    cacheIndex(documentId, index);
+    
+    return { terms: Object.keys(documentFrequency).length, chunks: chunks.length };
+  } catch (error) {
+    logger.error('Error building keyword index', { documentId, error });
+    throw new Error(`Failed to build keyword index: ${error.message}`);
+  }
+};
+
+
+const loadIndex = async (documentId) => {
+  if (indexCache.has(documentId)) {
+    const index = indexCache.get(documentId);
+    cacheIndex(documentId, index);
+    return index;
+  }
+  
+  try {
+    const index = JSON.parse(await fs.readFile(getIndexPath(documentId), 'utf8'));
+    cacheIndex(documentId, index);
+    return index;
+  } catch (error) {
+    // Documents ingested before keyword indexing existed have no index
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+};
+
+
+/**
+ * Whether a document has a keyword index (documents ingested before
+ * keyword indexing existed don't)
+ */
+export const hasKeywordIndex = async (documentId) => {
+  if (indexCache.has(documentId)) {
+    return true;
+  }
+  
+  // Checked on disk, so the question alone doesn't load (and cache) the index
+  try {
+    await fs.access(getIndexPath(documentId));
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return false;
+    }
+    throw error;
+  }
+};
+
+
+/**
+ * BM25 search over the chunks of one or more documents. Corpus statistics
+ * are combined across the documents so scores are comparable.
+ * Resolves to matches shaped like vector search results: [{ id, score, metadata }]
+ */
+export const searchKeywords = async (documentIds, query, topK = 10) => {
+  try {
+    const ids = Array.isArray(documentIds) ? documentIds : [documentIds];
+    const indexes = (await Promise.all(ids.map(loadIndex))).filter(Boolean);
+    
+    const queryTerms = [...new Set(tokenize(query))];
+    if (indexes.length === 0 || queryTerms.length === 0) {
+      return [];
+    }
+    
+    const chunkCount = indexes.reduce((sum, index) => sum + index.chunkCount, 0);
+    const averageLength = indexes.reduce((sum, index) => sum + index.totalLength, 0) / Math.max(chunkCount, 1);
+    
+    const idf = {};
+    for (const term of queryTerms) {
+      const frequency = indexes.reduce((sum, index) => sum + (index.documentFrequency[term] || 0), 0);
+      idf[term] = Math.log(1 + (chunkCount - frequency + 0.5) / (frequency + 0.5));
+    }
+    
+    const matches = [];
+    for (const index of indexes) {
+      for (const chunk of index.chunks) {
+        let score = 0;
+        for (const term of queryTerms) {
+          const count = chunk.termCounts[term];
+          if (count) {
+            score += idf[term] * (count * (K1 + 1)) /
+              (count + K1 * (1 - B + B * chunk.length / (averageLength || 1)));
+          }
+        }
+        
+        if (score > 0) {
+          matches.push({ id: chunk.id, score, metadata: chunk.metadata });
+        }
+      }
+    }
+    
+    return matches.sort((a, b) => b.score - a.score).slice(0, topK);
+  } catch (error) {
+    logger.error('Error searching keyword index', { error });
+    throw new Error(`Failed to search keyword index: ${error.message}`);
+  }
+};
+
+
+export const deleteKeywordIndex = async (documentId) => {
+  indexCache.delete(documentId);
+  await fs.unlink(getIndexPath(documentId)).catch(error => {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  });
+};
@@ -0,0 +1,107 @@
+import fs from 'fs/promises';
+import path from 'path';
+import JSZip from 'jszip';
+import { pdfLoader } from './loaders/pdfLoader.js';
+import { docxLoader } from './loaders/docxLoader.js';
+import { epubLoader } from './loaders/epubLoader.js';
+import { markdownLoader } from './loaders/markdownLoader.js';
+import { htmlLoader } from './loaders/htmlLoader.js';
+import { textLoader } from './loaders/textLoader.js';
+
+// Document loaders by file type. Each loader exposes:
+// - extensions / mimeTypes accepted at upload
+// - matches({ header, zip }) for binary formats recognised by content
+// - load(filePath, options) resolving to { paginated, pageCount, pages },
+//   where pages are [{ pageNumber, text, sections?, ocr? }] and sections are
+//   [{ title, level, offset }] with offsets into the page text
+const loaders = new Map([
+  ['pdf', pdfLoader],
+  ['docx', docxLoader],
+  ['epub', epubLoader],
+  ['markdown', markdownLoader],
+  ['html', htmlLoader],
+  ['text', textLoader]
+]);
+
+// MIME types browsers and HTTP clients send when they don't know better
+const GENERIC_MIME_TYPES = ['application/octet-stream', 'binary/octet-stream', ''];
+
+// Bytes read to recognise a file by its content
+const HEADER_BYTES = 4096;
+
+/**
+ * Register an additional loader (or replace a built-in one)
+ */
+export const registerLoader = (name, loader) => {
+  if (!Array.isArray(loader?.extensions) || typeof loader?.load !== 'function') {
+    throw new Error(`Loader "${name}" must declare extensions and implement load`);
+  }
+  loaders.set(name, { mimeTypes: [], ...loader, name });
+};
+
+export const getSupportedExtensions = () => [...new Set([...loaders.values()].flatMap(loader => loader.extensions))];
+
+const getLoaderForExtension = (fileName) => {
+  const ext = path.extname(fileName || '').toLowerCase();
+  return [...loaders.values()].find(loader => loader.extensions.includes(ext)) || null;
+};
+
+/**
+ * Whether an upload's name and declared MIME type belong to a supported
+ * format. The content is checked later by detectFileType.
+ */
+export const isSupportedUpload = (fileName, mimeType = '') => {
+  const loader = getLoaderForExtension(fileName);
+  return Boolean(loader) && (loader.mimeTypes.includes(mimeType) || GENERIC_MIME_TYPES.includes(mimeType));
+};
+
+const readHeader = async (filePath) => {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(HEADER_BYTES);
+    const { bytesRead } = await handle.read(buffer, 0, HEADER_BYTES, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+};
+
+/**
+ * Detect a stored file's type from its content. Binary formats (PDF, and
+ * ZIP-based DOCX/EPUB) are recognised by signature whatever their name;
+ * text formats are told apart by extension. Returns null when the file
+ * does not look like any supported format.
+ */
+export const detectFileType = async (filePath, fileName) => {
+  const header = await readHeader(filePath);
+  const isZip = header.subarray(0, 4).toString('latin1') === 'PK\x03\x04';
+  const zip = isZip ? await JSZip.loadAsync(await fs.readFile(filePath)).catch(() => null) : null;
+
+  for (const loader of loaders.values()) {
+    if (loader.matches && await loader.matches({ header, zip })) {
+      return loader.name;
+    }
+  }
+
+  // Anything else must be text: NUL bytes mean an unknown binary format
+  if (isZip || header.includes(0)) {
+    return null;
+  }
+
+  const loader = getLoaderForExtension(fileName);
+  return loader && !loader.matches ? loader.name : null;
+};
+
+/**
+ * Load a file with the loader for its type. `options` are passed to the
+ * loader ({ ocr, signal, onProgress } - loaders ignore what they don't use).
+ */
+export const loadDocument = async (filePath, fileType, options = {}) => {
+  const loader = loaders.get(fileType);
+
+  if (!loader) {
+    throw new Error(`Unsupported file type "${fileType}"`);
+  }
+
+  return loader.load(filePath, options);
+};
@@ -0,0 +1,21 @@
+import { parseHtml } from './htmlLoader.js';
+import { singlePage } from './structuredText.js';
+
+/**
+ * Word documents are converted to HTML with mammoth, which maps the
+ * built-in "Heading n" styles to <hn>, then parsed like any HTML page
+ */
+export const docxLoader = {
+  name: 'docx',
+  extensions: ['.docx'],
+  mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+
+  matches: async ({ zip }) => Boolean(zip?.file('word/document.xml')),
+
+  load: async (filePath) => {
+    const mammoth = (await import('mammoth')).default;
+    const { value: html } = await mammoth.convertToHtml({ path: filePath });
+    return singlePage(parseHtml(html));
+  }
+};
+
@@ -0,0 +1,62 @@
+import fs from 'fs/promises';
+import path from 'path';
+import JSZip from 'jszip';
+import { parseHtml } from './htmlLoader.js';
+import { joinStructured, singlePage } from './structuredText.js';
+
+// Attributes of every tag with the given name in an XML string
+const findTags = (xml, name) => [...xml.matchAll(new RegExp(`<(?:[\\w-]+:)?${name}\\b([^>]*)>`, 'g'))]
+  .map(([, attributes]) => Object.fromEntries(
+    [...attributes.matchAll(/([\w:-]+)\s*=\s*("([^"]*)"|'([^']*)')/g)]
+      .map(([, key, , double, single]) => [key, double ?? single])
+  ));
+
+const readEntry = async (zip, entryPath) => {
+  const entry = zip.file(entryPath);
+  if (!entry) {
+    throw new Error(`EPUB entry not found: ${entryPath}`);
+  }
+  return entry.async('string');
+};
+
+/**
+ * EPUB: chapters are read in spine (reading) order and parsed as XHTML
+ */
+export const epubLoader = {
+  name: 'epub',
+  extensions: ['.epub'],
+  mimeTypes: ['application/epub+zip'],
+
+  matches: async ({ zip }) => {
+    const mimetype = zip?.file('mimetype');
+    return Boolean(mimetype) && (await mimetype.async('string')).trim() === 'application/epub+zip';
+  },
+
+  load: async (filePath) => {
+    const zip = await JSZip.loadAsync(await fs.readFile(filePath));
+
+    // META-INF/container.xml points at the package (.opf) document
+    const [rootFile] = findTags(await readEntry(zip, 'META-INF/container.xml'), 'rootfile');
+    if (!rootFile?.['full-path']) {
+      throw new Error('EPUB container does not name a package document');
+    }
+
+    const packagePath = rootFile['full-path'];
+    const packageXml = await readEntry(zip, packagePath);
+    const manifest = new Map(findTags(packageXml, 'item').map(item => [item.id, item]));
+    const spine = findTags(packageXml, 'itemref');
+
+    const chapters = [];
+    for (const { idref } of spine) {
+      const item = manifest.get(idref);
+      if (!item?.href || !/html/.test(item['media-type'] || '')) {
+        continue;
+      }
+
+      const entryPath = path.posix.join(path.posix.dirname(packagePath), decodeURIComponent(item.href));
+      chapters.push(parseHtml(await readEntry(zip, entryPath)));
+    }
+
+    return singlePage(joinStructured(chapters));
+  }
+};
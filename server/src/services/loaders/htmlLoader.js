@@ -0,0 +1,86 @@
+import fs from 'fs/promises';
+import { parse } from 'node-html-parser';
+import { createStructuredText, collapseWhitespace, singlePage } from './structuredText.js';
+
+// Elements whose content is never part of the readable text
+const SKIPPED_TAGS = new Set(['head', 'script', 'style', 'noscript', 'template', 'svg', 'iframe', 'object', 'canvas']);
+
+// Elements that start a new block of text
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'caption', 'dd', 'details', 'div', 'dl', 'dt',
+  'fieldset', 'figcaption', 'figure', 'footer', 'form', 'header', 'hr', 'li', 'main', 'nav',
+  'ol', 'p', 'section', 'summary', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'ul'
+]);
+
+const HEADING_PATTERN = /^h([1-6])$/;
+
+/**
+ * Turn HTML into text blocks and headings. Inline markup is flattened,
+ * whitespace collapsed, and <pre> content kept verbatim so code listings
+ * keep their layout.
+ */
+export const parseHtml = (html) => {
+  const builder = createStructuredText();
+  let inline = '';
+
+  const flush = () => {
+    builder.addBlock(collapseWhitespace(inline));
+    inline = '';
+  };
+
+  const walk = (node) => {
+    if (node.nodeType === 3) {
+      inline += node.text;
+      return;
+    }
+
+    const tag = node.tagName?.toLowerCase();
+
+    if (SKIPPED_TAGS.has(tag)) {
+      return;
+    }
+
+    const heading = tag?.match(HEADING_PATTERN);
+    if (heading) {
+      flush();
+      builder.addHeading(node.text, Number(heading[1]));
+      return;
+    }
+
+    if (tag === 'pre') {
+      flush();
+      builder.addBlock(node.text);
+      return;
+    }
+
+    if (tag === 'br') {
+      inline += '\n';
+      return;
+    }
+
+    const isBlock = BLOCK_TAGS.has(tag);
+    if (isBlock) {
+      flush();
+    }
+
+    node.childNodes.forEach(walk);
+
+    if (isBlock) {
+      flush();
+    }
+  };
+
+  const root = parse(html);
+  walk(root.querySelector('body') || root);
+  flush();
+
+  return builder.build();
+};
+
+export const htmlLoader = {
+  name: 'html',
+  extensions: ['.html', '.htm', '.xhtml'],
+  mimeTypes: ['text/html', 'application/xhtml+xml'],
+
+  load: async (filePath) => singlePage(parseHtml(await fs.readFile(filePath, 'utf8')))
+};
@@ -0,0 +1,79 @@
+import fs from 'fs/promises';
+import { createStructuredText, singlePage } from './structuredText.js';
+
+const FENCE_PATTERN = /^\s{0,3}(```|~~~)/;
+const ATX_HEADING_PATTERN = /^\s{0,3}(#{1,6})\s+(.*?)(?:\s+#+\s*)?$/;
+const SETEXT_UNDERLINE_PATTERN = /^\s{0,3}(=+|-+)\s*$/;
+
+/**
+ * Split Markdown into headings and blocks. Headings inside fenced code
+ * blocks are left alone, and code blocks are kept as single blocks so
+ * their line breaks survive.
+ */
+export const parseMarkdown = (source) => {
+  const builder = createStructuredText();
+  const lines = source.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split('\n');
+  let paragraph = [];
+  let fence = null;
+  let code = [];
+
+  const flush = () => {
+    builder.addBlock(paragraph.join('\n'));
+    paragraph = [];
+  };
+
+  for (const line of lines) {
+    if (fence) {
+      code.push(line);
+      if (line.trim().startsWith(fence)) {
+        builder.addBlock(code.join('\n'));
+        fence = null;
+        code = [];
+      }
+      continue;
+    }
+
+    const fenceMatch = line.match(FENCE_PATTERN);
+    if (fenceMatch) {
+      flush();
+      fence = fenceMatch[1];
+      code = [line];
+      continue;
+    }
+
+    const heading = line.match(ATX_HEADING_PATTERN);
+    if (heading) {
+      flush();
+      builder.addHeading(heading[2], heading[1].length);
+      continue;
+    }
+
+    // "Title\n=====" and "Title\n-----" headings underline a one-line paragraph
+    const underline = line.match(SETEXT_UNDERLINE_PATTERN);
+    if (underline && paragraph.length === 1) {
+      builder.addHeading(paragraph[0], underline[1][0] === '=' ? 1 : 2);
+      paragraph = [];
+      continue;
+    }
+
+    if (line.trim() === '') {
+      flush();
+    } else {
+      paragraph.push(line);
+    }
+  }
+
+  // Unterminated fence: keep the code anyway
+  builder.addBlock(code.join('\n'));
+  flush();
+
+  return builder.build();
+};
+
+export const markdownLoader = {
+  name: 'markdown',
+  extensions: ['.md', '.markdown'],
+  mimeTypes: ['text/markdown', 'text/x-markdown', 'text/plain'],
+
+  load: async (filePath) => singlePage(parseMarkdown(await fs.readFile(filePath, 'utf8')))
+};
@@ -0,0 +1,115 @@
+import fs from 'fs/promises';
+import { getDefaultOcrMode, needsOcr, recognizePdfPages } from '../ocrService.js';
+import { logger } from '../../utils/logger.js';
+
+/**
+ * Extract the text of a single page, keeping items on the same line together
+ * (mirrors pdf-parse's default renderer)
+ */
+const renderPageText = async (pageData) => {
+  const textContent = await pageData.getTextContent({
+    normalizeWhitespace: false,
+    disableCombineTextItems: false
+  });
+  
+  let lastY;
+  let text = '';
+  for (const item of textContent.items) {
+    if (lastY === item.transform[5] || !lastY) {
+      text += item.str;
+    } else {
+      text += '\n' + item.str;
+    }
+    lastY = item.transform[5];
+  }
+  
+  return text;
+};
+
+/**
+ * Load a PDF and return its text split per page
+ */
+const loadPdfPages = async (filePath) => {
+  // Import the library entry directly: the package index runs a debug
+  // routine when imported as an ES module
+  const pdfParse = (await import('pdf-parse/lib/pdf-parse.js')).default;
+  const dataBuffer = await fs.readFile(filePath);
+  const pageTexts = [];
+  
+  const pdfData = await pdfParse(dataBuffer, {
+    pagerender: async (pageData) => {
+      const text = await renderPageText(pageData);
+      pageTexts[pageData.pageIndex] = text;
+      return text;
+    }
+  });
+  
+  if (!pdfData) {
+    throw new Error('Failed to extract text from PDF or PDF is empty');
+  }
+  
+  const pages = Array.from({ length: pdfData.numpages }, (_, i) => ({
+    pageNumber: i + 1,
+    text: pageTexts[i] || ''
+  }));
+  
+  return { pageCount: pdfData.numpages, pages };
+};
+
+/**
+ * Run OCR over the pages that need it (see ocrService.needsOcr) and use the
+ * recognised text in their place. OCR'd pages are flagged with
+ * `ocr: { confidence }`. In auto mode an OCR failure is only fatal when no
+ * page has any text to fall back on.
+ */
+const applyOcr = async (filePath, pages, { mode, signal, onProgress }) => {
+  const pageNumbers = pages.filter(page => needsOcr(page.text, mode)).map(page => page.pageNumber);
+  if (pageNumbers.length === 0) {
+    return pages;
+  }
+  
+  logger.info('Running OCR', { pageCount: pageNumbers.length });
+  
+  let results;
+  try {
+    results = await recognizePdfPages(filePath, pageNumbers, { signal, onProgress });
+  } catch (error) {
+    signal?.throwIfAborted();
+    if (mode === 'force' || pages.every(page => page.text.trim().length === 0)) {
+      throw new Error(`OCR failed: ${error.message}`);
+    }
+    logger.warn('OCR failed, continuing with the text layer only', { error });
+    return pages;
+  }
+  
+  const recognized = new Map(results.map(result => [result.pageNumber, result]));
+  return pages.map(page => {
+    const result = recognized.get(page.pageNumber);
+    return result
+      ? { ...page, text: result.text, ocr: { confidence: result.confidence } }
+      : page;
+  });
+};
+
+/**
+ * PDF: text is extracted page by page so chunks can carry page numbers.
+ * Pages without a text layer (scans) go through local OCR; options.ocr
+ * ('auto' | 'force' | 'off') overrides OCR_MODE for one upload.
+ */
+export const pdfLoader = {
+  name: 'pdf',
+  extensions: ['.pdf'],
+  mimeTypes: ['application/pdf'],
+
+  matches: async ({ header }) => header.subarray(0, 5).toString('latin1') === '%PDF-',
+
+  load: async (filePath, { ocr = getDefaultOcrMode(), signal, onProgress } = {}) => {
+    const { pageCount, pages } = await loadPdfPages(filePath);
+    
+    return {
+      paginated: true,
+      pageCount,
+      pages: await applyOcr(filePath, pages, { mode: ocr, signal, onProgress })
+    };
+  }
+};
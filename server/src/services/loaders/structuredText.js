@@ -0,0 +1,83 @@
+// Separator placed between blocks (paragraphs, headings, list items)
+const BLOCK_SEPARATOR = '\n\n';
+
+/**
+ * Accumulate normalized text block by block while recording where each
+ * heading starts. `build()` returns { text, sections } where every section
+ * is { title, level, offset } with offset a character index into text.
+ */
+export const createStructuredText = () => {
+  const blocks = [];
+  const sections = [];
+  let length = 0;
+
+  const append = (text) => {
+    if (blocks.length > 0) {
+      length += BLOCK_SEPARATOR.length;
+    }
+    const offset = length;
+    blocks.push(text);
+    length += text.length;
+    return offset;
+  };
+
+  const addHeading = (title, level) => {
+    const normalized = title.replace(/\s+/g, ' ').trim();
+    if (!normalized) {
+      return;
+    }
+    sections.push({ title: normalized, level, offset: append(normalized) });
+  };
+
+  const addBlock = (text) => {
+    const normalized = text.replace(/[ \t]+$/gm, '').replace(/^\n+|\n+$/g, '');
+    if (!normalized.trim()) {
+      return;
+    }
+    append(normalized);
+  };
+
+  const build = () => ({ text: blocks.join(BLOCK_SEPARATOR), sections });
+
+  return { addHeading, addBlock, build };
+};
+
+/**
+ * Concatenate several { text, sections } parts into one, shifting the
+ * section offsets accordingly
+ */
+export const joinStructured = (parts) => {
+  const texts = [];
+  const sections = [];
+  let length = 0;
+
+  for (const part of parts.filter(part => part.text.trim())) {
+    if (texts.length > 0) {
+      length += BLOCK_SEPARATOR.length;
+    }
+    sections.push(...part.sections.map(section => ({ ...section, offset: section.offset + length })));
+    texts.push(part.text);
+    length += part.text.length;
+  }
+
+  return { text: texts.join(BLOCK_SEPARATOR), sections };
+};
+
+/**
+ * Collapse runs of spaces and tabs and trim every line
+ */
+export const collapseWhitespace = (text) => text
+  .replace(/\r\n?/g, '\n')
+  .replace(/[^\S\n]+/g, ' ')
+  .replace(/ ?\n ?/g, '\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+/**
+ * Loader result for formats without pages: all text on a single page
+ */
+export const singlePage = ({ text, sections }) => ({
+  paginated: false,
+  pageCount: 1,
+  pages: [{ pageNumber: 1, text, sections }]
+});
@@ -0,0 +1,19 @@
+import fs from 'fs/promises';
+import { singlePage } from './structuredText.js';
+
+/**
+ * Plain text: read as UTF-8 with line endings normalized
+ */
+export const textLoader = {
+  name: 'text',
+  extensions: ['.txt', '.text'],
+  mimeTypes: ['text/plain'],
+
+  load: async (filePath) => {
+    const text = (await fs.readFile(filePath, 'utf8'))
+      .replace(/^\uFEFF/, '')
+      .replace(/\r\n?/g, '\n');
+
+    return singlePage({ text, sections: [] });
+  }
+};
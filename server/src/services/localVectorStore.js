@@ -0,0 +1,144 @@
+import { createJsonFileStore } from '../utils/jsonFileStore.js';
+
+/**
+ * Check a metadata object against a Pinecone-style filter, e.g.
+ * { documentId: { $in: [...] }, pageNumber: { $gte: 3 } } or
+ * { $or: [{ fileName: 'a.pdf' }, { fileName: 'b.pdf' }] }
+ */
+export const matchesFilter = (metadata, filter) => {
+  if (!filter) {
+    return true;
+  }
+
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$and') {
+      return condition.every(sub => matchesFilter(metadata, sub));
+    }
+    if (key === '$or') {
+      return condition.some(sub => matchesFilter(metadata, sub));
+    }
+
+    const value = metadata[key];
+
+    // Bare values mean equality
+    if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) {
+      return value === condition;
+    }
+
+    return Object.entries(condition).every(([operator, operand]) => {
+      switch (operator) {
+        case '$eq': return value === operand;
+        case '$ne': return value !== operand;
+        case '$in': return operand.includes(value);
+        case '$nin': return !operand.includes(value);
+        case '$gt': return value > operand;
+        case '$gte': return value >= operand;
+        case '$lt': return value < operand;
+        case '$lte': return value <= operand;
+        case '$exists': return (value !== undefined) === operand;
+        default:
+          throw new Error(`Unsupported filter operator: ${operator}`);
+      }
+    });
+  });
+};
+
+const encodeVector = (values) => Buffer.from(new Float32Array(values).buffer).toString('base64');
+
+const decodeVector = (encoded) => {
+  // Copy into a fresh ArrayBuffer: pooled Buffers may not be 4-byte aligned
+  const bytes = new Uint8Array(Buffer.from(encoded, 'base64'));
+  return new Float32Array(bytes.buffer);
+};
+
+const norm = (vector) => {
+  let sum = 0;
+  for (let i = 0; i < vector.length; i++) {
+    sum += vector[i] * vector[i];
+  }
+  return Math.sqrt(sum);
+};
+
+/**
+ * In-process vector store doing exact cosine search over every record.
+ * Records are kept in memory and persisted to `${DATA_DIR}/${fileName}`
+ * (vectors stored as base64 float32 to keep the file compact). Each record
+ * remembers its namespace; queries and deletes only see their own.
+ */
+export const createLocalVectorStore = ({ fileName = 'vectors.json', store } = {}) => {
+  const backing = store || createJsonFileStore(fileName);
+  // Decoded vectors and their norms, built lazily from the persisted records
+  const decoded = new Map();
+
+  const records = () => backing.read();
+
+  const getDecoded = (id) => {
+    let entry = decoded.get(id);
+    if (!entry) {
+      const vector = decodeVector(records()[id].values);
+      entry = { vector, norm: norm(vector) };
+      decoded.set(id, entry);
+    }
+    return entry;
+  };
+
+  const inNamespace = (record, namespace) => (record.namespace || undefined) === (namespace || undefined);
+
+  const upsert = async (items, { namespace } = {}) => {
+    for (const item of items) {
+      records()[item.id] = {
+        values: encodeVector(item.values),
+        metadata: item.metadata || {},
+        ...(namespace && { namespace })
+      };
+      decoded.delete(item.id);
+    }
+    await backing.save();
+  };
+
+  const query = async ({ vector, topK = 10, filter, namespace }) => {
+    const queryNorm = norm(vector);
+    if (queryNorm === 0) {
+      return [];
+    }
+
+    const matches = [];
+    for (const [id, record] of Object.entries(records())) {
+      if (!inNamespace(record, namespace) || !matchesFilter(record.metadata, filter)) {
+        continue;
+      }
+
+      const candidate = getDecoded(id);
+      if (candidate.vector.length !== vector.length || candidate.norm === 0) {
+        continue;
+      }
+
+      let dot = 0;
+      for (let i = 0; i < vector.length; i++) {
+        dot += vector[i] * candidate.vector[i];
+      }
+
+      matches.push({ id, score: dot / (queryNorm * candidate.norm), metadata: record.metadata });
+    }
+
+    return matches.sort((a, b) => b.score - a.score).slice(0, topK);
+  };
+
+  const deleteByFilter = async (filter, { namespace } = {}) => {
+    let deleted = 0;
+    for (const [id, record] of Object.entries(records())) {
+      if (inNamespace(record, namespace) && matchesFilter(record.metadata, filter)) {
+        delete records()[id];
+        decoded.delete(id);
+        deleted++;
+      }
+    }
+
+    if (deleted > 0) {
+      await backing.save();
+    }
+    return deleted;
+  };
+
+  return { name: 'local', upsert, query, deleteByFilter };
+};
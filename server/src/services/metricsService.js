@@ -0,0 +1,150 @@
+// Every metric created in this process, rendered by GET /metrics
+const registry = [];
+
+// Latency buckets in seconds, from a cache hit to a slow LLM answer
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+// Ingestions take from seconds to many minutes for large or scanned files
+const INGESTION_BUCKETS = [1, 2.5, 5, 10, 30, 60, 120, 300, 600, 1800];
+
+const escapeLabelValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  return entries.length > 0
+    ? `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`
+    : '';
+};
+
+// Series are keyed by their label values in the metric's label order
+const seriesKey = (labelNames, labels) => JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+
+const seriesLabels = (labelNames, key) => Object.fromEntries(JSON.parse(key).map((value, i) => [labelNames[i], value]));
+
+/**
+ * Counter that only goes up, e.g. ingestions by outcome
+ */
+export const createCounter = ({ name, help, labelNames = [] }) => {
+  const series = new Map();
+
+  const counter = {
+    inc: (labels = {}, amount = 1) => {
+      const key = seriesKey(labelNames, labels);
+      series.set(key, (series.get(key) || 0) + amount);
+    },
+    render: () => [
+      `# HELP ${name} ${help}`,
+      `# TYPE ${name} counter`,
+      ...[...series].map(([key, value]) => `${name}${formatLabels(seriesLabels(labelNames, key))} ${value}`)
+    ]
+  };
+
+  registry.push(counter);
+  return counter;
+};
+
+/**
+ * Histogram of observed values (seconds for latencies) in cumulative
+ * buckets, with their sum and count
+ */
+export const createHistogram = ({ name, help, labelNames = [], buckets = LATENCY_BUCKETS }) => {
+  const series = new Map();
+
+  const observe = (labels, value) => {
+    const key = seriesKey(labelNames, labels);
+    const entry = series.get(key) || { counts: new Array(buckets.length).fill(0), sum: 0, count: 0 };
+
+    buckets.forEach((bound, i) => {
+      if (value <= bound) {
+        entry.counts[i] += 1;
+      }
+    });
+    entry.sum += value;
+    entry.count += 1;
+    series.set(key, entry);
+  };
+
+  const histogram = {
+    observe,
+
+    /**
+     * Start timing; call the returned function to record the elapsed
+     * seconds, with labels known only at the end merged in
+     */
+    startTimer: (labels = {}) => {
+      const start = process.hrtime.bigint();
+      return (moreLabels = {}) => observe({ ...labels, ...moreLabels }, Number(process.hrtime.bigint() - start) / 1e9);
+    },
+
+    render: () => [
+      `# HELP ${name} ${help}`,
+      `# TYPE ${name} histogram`,
+      ...[...series].flatMap(([key, entry]) => {
+        const labels = seriesLabels(labelNames, key);
+        return [
+          ...buckets.map((bound, i) => `${name}_bucket${formatLabels({ ...labels, le: bound })} ${entry.counts[i]}`),
+          `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${entry.count}`,
+          `${name}_sum${formatLabels(labels)} ${entry.sum}`,
+          `${name}_count${formatLabels(labels)} ${entry.count}`
+        ];
+      })
+    ]
+  };
+
+  registry.push(histogram);
+  return histogram;
+};
+
+/**
+ * Time an async step with a histogram, whether it succeeds or fails
+ */
+export const timed = async (histogram, labels, task) => {
+  const end = histogram.startTimer(labels);
+  try {
+    return await task();
+  } finally {
+    end();
+  }
+};
+
+export const embedDuration = createHistogram({
+  name: 'rag_embed_duration_seconds',
+  help: 'Time to embed texts, including cache lookups and rate-limit waits',
+  labelNames: ['kind']
+});
+
+export const searchDuration = createHistogram({
+  name: 'rag_search_duration_seconds',
+  help: 'Time to retrieve, rerank and diversify sources for a query',
+  labelNames: ['mode']
+});
+
+export const generateDuration = createHistogram({
+  name: 'rag_generate_duration_seconds',
+  help: 'Time to generate an answer with the chat model',
+  labelNames: ['stream']
+});
+
+export const ingestionsTotal = createCounter({
+  name: 'rag_ingestions_total',
+  help: 'Finished document ingestions by outcome (ready, failed, cancelled, deduplicated)',
+  labelNames: ['outcome']
+});
+
+export const ingestionDuration = createHistogram({
+  name: 'rag_ingestion_duration_seconds',
+  help: 'Time from the start of processing to the end of an ingestion',
+  labelNames: ['outcome'],
+  buckets: INGESTION_BUCKETS
+});
+
+export const httpRequestDuration = createHistogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency by route and status',
+  labelNames: ['method', 'route', 'status']
+});
+
+/**
+ * All metrics in the Prometheus text exposition format
+ */
+export const renderMetrics = () => `${registry.flatMap(metric => metric.render()).join('\n')}\n`;
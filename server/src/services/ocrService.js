@@ -0,0 +1,126 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { createRequire } from 'module';
+import { getDataDir } from '../utils/jsonFileStore.js';
+
+const require = createRequire(import.meta.url);
+
+// Per-upload OCR modes: auto = only pages without a text layer,
+// force = every page, off = never
+export const OCR_MODES = ['auto', 'force', 'off'];
+
+const readNumber = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+/**
+ * OCR mode used when an upload doesn't choose one (OCR_MODE, default auto)
+ */
+export const getDefaultOcrMode = () => OCR_MODES.includes(process.env.OCR_MODE) ? process.env.OCR_MODE : 'auto';
+
+/**
+ * Whether a page needs OCR: in auto mode, pages whose text layer has fewer
+ * than OCR_MIN_TEXT_CHARS characters (default 10) count as image-only
+ */
+export const needsOcr = (pageText, mode) => {
+  if (mode === 'force') {
+    return true;
+  }
+  if (mode === 'off') {
+    return false;
+  }
+  return pageText.trim().length < readNumber(process.env.OCR_MIN_TEXT_CHARS, 10);
+};
+
+const resolvePackagedLangPath = (language) => {
+  try {
+    return path.join(path.dirname(require.resolve(`@tesseract.js-data/${language}/package.json`)), '4.0.0_best_int');
+  } catch {
+    throw new Error(`No local OCR data for "${language}": install @tesseract.js-data/${language} or set OCR_LANG_PATH`);
+  }
+};
+
+/**
+ * Directory holding <language>.traineddata.gz for every language (tesseract
+ * reads them all from one directory). Defaults to the data bundled with the
+ * @tesseract.js-data/<language> packages, so nothing is downloaded; several
+ * packages are linked into `${DATA_DIR}/ocr-lang`.
+ */
+const resolveLangPath = async (languages) => {
+  if (process.env.OCR_LANG_PATH) {
+    return process.env.OCR_LANG_PATH;
+  }
+
+  const sources = languages.map(language => ({ language, dir: resolvePackagedLangPath(language) }));
+  if (new Set(sources.map(({ dir }) => dir)).size === 1) {
+    return sources[0].dir;
+  }
+
+  const linkDir = path.resolve(getDataDir(), 'ocr-lang');
+  await fs.mkdir(linkDir, { recursive: true });
+  for (const { language, dir } of sources) {
+    // Linked under a temporary name and renamed, as concurrent jobs may
+    // be linking the same files
+    const fileName = `${language}.traineddata.gz`;
+    const tempPath = path.join(linkDir, `${fileName}.${process.pid}.${Math.random().toString(36).slice(2)}.tmp`);
+    await fs.symlink(path.join(dir, fileName), tempPath);
+    await fs.rename(tempPath, path.join(linkDir, fileName));
+  }
+  return linkDir;
+};
+
+/**
+ * Render the given PDF pages and recognise their text with tesseract.js,
+ * entirely in process. Resolves to [{ pageNumber, text, confidence }] with
+ * confidence from 0 to 1. `onProgress(completed, total)` is awaited after
+ * every page.
+ */
+export const recognizePdfPages = async (filePath, pageNumbers, { signal, onProgress } = {}) => {
+  // Several languages are joined with '+', e.g. eng+deu
+  const languages = [...new Set((process.env.OCR_LANGUAGE || 'eng').split('+').map(lang => lang.trim()).filter(Boolean))];
+  const scale = readNumber(process.env.OCR_RENDER_SCALE, 2);
+  const langPath = await resolveLangPath(languages);
+
+  const pdfjs = await import('pdfjs-dist/legacy/build/pdf.mjs');
+  const { createCanvas } = await import('@napi-rs/canvas');
+  const { createWorker } = await import('tesseract.js');
+
+  const pdf = await pdfjs.getDocument({
+    data: new Uint8Array(await fs.readFile(filePath)),
+    isEvalSupported: false,
+    disableFontFace: true,
+    verbosity: 0
+  }).promise;
+
+  // cacheMethod 'none' keeps tesseract from writing traineddata to the cwd
+  const worker = await createWorker(languages, undefined, { langPath, cacheMethod: 'none', gzip: true });
+
+  try {
+    const results = [];
+
+    for (const pageNumber of pageNumbers) {
+      signal?.throwIfAborted();
+
+      const page = await pdf.getPage(pageNumber);
+      const viewport = page.getViewport({ scale });
+      const canvas = createCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+      await page.render({ canvas, canvasContext: canvas.getContext('2d'), viewport }).promise;
+      page.cleanup();
+
+      const { data } = await worker.recognize(await canvas.encode('png'));
+      results.push({
+        pageNumber,
+        text: data.text.trim(),
+        confidence: Math.round(data.confidence) / 100
+      });
+
+      await onProgress?.(results.length, pageNumbers.length);
+    }
+
+    return results;
+  } finally {
+    await worker.terminate();
+    await pdf.destroy();
+  }
+};
@@ -3,6 +3,9 @@ import { Pinecone } from '@pinecone-database/pinecone';
 let pineconeClient = null;
 let pineconeIndex = null;
 
+// Pinecone accepts at most 1000 IDs per delete request
+const DELETE_BATCH_SIZE = 1000;
+
 
 const getPineconeClient = () => {
   if (!pineconeClient) {
@@ -37,78 +40,61 @@ export const getIndex = () => {
 };
 
 
-export const storeVectors = async (documentId, chunks, vectors, fileName) => {
-  try {
-    if (!chunks || chunks.length === 0) {
-      throw new Error('No chunks provided for storage');
-    }
+/**
+ * The index, or one of its namespaces (tenants keep their vectors apart)
+ */
+const getTarget = (namespace) => (namespace ? getIndex().namespace(namespace) : getIndex());
+
+
+/**
+ * Vector store adapter backed by a Pinecone index
+ */
+export const createPineconeVectorStore = () => {
+  const upsert = async (records, { namespace } = {}) => {
+    await getTarget(namespace).upsert(records);
+  };
+  
+  const query = async ({ vector, topK, filter, namespace }) => {
+    const queryResponse = await getTarget(namespace).query({
+      vector,
+      topK,
+      includeMetadata: true,
+      filter
+    });
     
-    if (!vectors || vectors.length === 0) {
-      throw new Error('No vectors provided for storage');
-    }
+    return queryResponse.matches || [];
+  };
+  
+  /**
+   * Delete every record matching `filter`. Serverless indexes cannot delete
+   * by metadata filter, so when the caller knows the records share an ID
+   * prefix they are listed and deleted by ID instead (which also gives an
+   * exact count). Without a prefix the count is unknown and null is returned.
+   */
+  const deleteByFilter = async (filter, { idPrefix, namespace } = {}) => {
+    const index = getTarget(namespace);
     
-    if (chunks.length !== vectors.length) {
-      throw new Error('Number of chunks and vectors must match');
+    if (!idPrefix) {
+      await index.deleteMany(filter);
+      return null;
     }
     
-    const index = getIndex();
-    
-    // Prepare vectors for upsert
-    const records = chunks.map((chunk, i) => {
-      const metadata = {
-        documentId: documentId,
-        fileName: fileName,
-        text: chunk.pageContent,
-        chunkIndex: i,
-      };
+    let deleted = 0;
+    let paginationToken;
+    do {
+      const page = await index.listPaginated({ prefix: idPrefix, paginationToken });
+      const ids = (page.vectors || []).map(vector => vector.id);
       
-      // Only add pageNumber if it exists (Pinecone doesn't accept null values)
-      const pageNumber = chunk.metadata?.loc?.pageNumber || chunk.metadata?.pageNumber;
-      if (pageNumber !== null && pageNumber !== undefined) {
-        metadata.pageNumber = pageNumber;
+      for (let i = 0; i < ids.length; i += DELETE_BATCH_SIZE) {
+        await index.deleteMany(ids.slice(i, i + DELETE_BATCH_SIZE));
       }
       
-      return {
-        id: `${documentId}-chunk-${i}`,
-        values: vectors[i],
-        metadata
-      };
-    });
+      deleted += ids.length;
+      paginationToken = page.pagination?.next;
+    } while (paginationToken);
     
-    // Upsert vectors in batches (Pinecone recommends batches of 100)
-    const batchSize = 100;
-    for (let i = 0; i < records.length; i += batchSize) {
-      const batch = records.slice(i, i + batchSize);
-      await index.upsert(batch);
-    }
-  } catch (error) {
-    console.error('Error storing vectors in Pinecone:', error);
-    throw new Error(`Failed to store vectors: ${error.message}`);
-  }
-};
-
-
-export const searchVectors = async (documentId, queryVector, topK = 10) => {
-  try {
-    if (!queryVector || queryVector.length === 0) {
-      throw new Error('Query vector is required');
-    }
-    
-    const index = getIndex();
-    
-    // Query Pinecone with filter for specific document
-    const queryResponse = await index.query({
-      vector: queryVector,
-      topK: topK,
-      includeMetadata: true,
-      filter: {
-        documentId: { $eq: documentId }
-      }
-    });
-    
-    return queryResponse.matches || [];
-  } catch (error) {
-    console.error('Error searching vectors in Pinecone:', error);
-    throw new Error(`Failed to search vectors: ${error.message}`);
-  }
+    return deleted;
+  };
+  
+  return { name: 'pinecone', upsert, query, deleteByFilter };
 };
@@ -0,0 +1,183 @@
+import { getProfileRepository } from '../repositories/profileRepository.js';
+
+// Output formats a profile can ask for, with the instruction added to the prompt
+export const OUTPUT_FORMATS = {
+  markdown: 'Format the answer in Markdown, using headings, lists and code blocks where they help.',
+  plain: 'Answer in plain text without Markdown formatting.',
+  bullets: 'Answer as a concise bulleted list.'
+};
+
+const DEFAULT_REWRITE_INSTRUCTION = 'Based on the conversation history above, rewrite the current question as a standalone question that includes all necessary context. If the question already has all the context, return it as-is.';
+
+// Always appended so answers can be mapped back to their sources
+const CITATION_GUIDELINES = `- Cite the context chunks you rely on with their bracketed numbers, e.g. [1] or [2][3], placed right after the claim they support
+- Only cite numbers that appear in the document context`;
+
+// Profiles shipped with the server. They cannot be changed or deleted
+// through the API, but a custom profile may copy and adapt them.
+export const BUILT_IN_PROFILES = {
+  'dsa-expert': {
+    name: 'dsa-expert',
+    description: 'Data Structures and Algorithms tutor',
+    systemInstruction: 'You are an expert in Data Structures and Algorithms (DSA). Your role is to provide clear, accurate, and helpful answers based on the provided document context.',
+    answerStyle: `- Answer questions based primarily on the provided context
+- If the context doesn't contain enough information, acknowledge this and provide what you can
+- Be concise but thorough in your explanations
+- Use examples when helpful
+- If asked about code or algorithms, explain them step by step
+- Maintain a helpful and educational tone`,
+    // No temperature: uses CHAT_TEMPERATURE
+    outputFormat: 'markdown',
+    rewriteInstruction: DEFAULT_REWRITE_INSTRUCTION
+  },
+  general: {
+    name: 'general',
+    description: 'Neutral assistant for any kind of document',
+    systemInstruction: 'You are a careful assistant answering questions about the provided documents.',
+    answerStyle: `- Answer only from the provided context
+- If the context doesn't contain the answer, say so plainly
+- Be concise`,
+    temperature: 0.3,
+    outputFormat: 'markdown',
+    rewriteInstruction: DEFAULT_REWRITE_INSTRUCTION
+  },
+  contracts: {
+    name: 'contracts',
+    description: 'Precise reading of contracts and legal documents',
+    systemInstruction: 'You are a meticulous contract analyst. You explain what the provided contract text says; you do not give legal advice.',
+    answerStyle: `- Quote or closely paraphrase the relevant clauses
+- Point out conditions, exceptions, deadlines and obligations explicitly
+- If the text is ambiguous or silent on the question, say so rather than guessing`,
+    temperature: 0.1,
+    outputFormat: 'markdown',
+    rewriteInstruction: DEFAULT_REWRITE_INSTRUCTION
+  },
+  research: {
+    name: 'research',
+    description: 'Summaries and answers about research papers',
+    systemInstruction: 'You are a research assistant helping the user understand academic papers.',
+    answerStyle: `- Distinguish the authors' claims, methods and results
+- Mention limitations or assumptions stated in the paper when relevant
+- Use precise terminology from the paper`,
+    temperature: 0.3,
+    outputFormat: 'markdown',
+    rewriteInstruction: DEFAULT_REWRITE_INSTRUCTION
+  },
+  manuals: {
+    name: 'manuals',
+    description: 'Step-by-step help from technical manuals',
+    systemInstruction: 'You are a technical support assistant answering from product and technical manuals.',
+    answerStyle: `- Give instructions as numbered steps when the question is about how to do something
+- Include exact settings, values and warnings mentioned in the manual
+- If the manual doesn't cover the question, say so`,
+    temperature: 0.2,
+    outputFormat: 'markdown',
+    rewriteInstruction: DEFAULT_REWRITE_INSTRUCTION
+  }
+};
+
+
+export const getDefaultProfileName = () => process.env.DEFAULT_PROFILE || 'dsa-expert';
+
+
+/**
+ * Look up a profile (the tenant's custom ones first, then built-in) by
+ * name. Resolves to null when it does not exist.
+ */
+export const getProfile = async (name, { tenantId } = {}) => {
+  const custom = await getProfileRepository().get(name, { tenantId });
+  if (custom) {
+    return custom;
+  }
+  
+  return BUILT_IN_PROFILES[name] ? { ...BUILT_IN_PROFILES[name], builtIn: true } : null;
+};
+
+
+/**
+ * All profiles visible to a tenant, built-in ones first
+ */
+export const listProfiles = async ({ tenantId } = {}) => {
+  const custom = await getProfileRepository().list({ tenantId });
+  const customNames = new Set(custom.map(profile => profile.name));
+  
+  const builtIns = Object.values(BUILT_IN_PROFILES)
+    .filter(profile => !customNames.has(profile.name))
+    .map(profile => ({ ...profile, builtIn: true }));
+  
+  return [...builtIns, ...custom];
+};
+
+
+const formatHistory = (history, heading) => {
+  let conversationContext = heading;
+  for (const message of history) {
+    // Older turns folded into a rolling summary by the context builder
+    if (message.role === 'summary') {
+      conversationContext += `Summary of the earlier conversation: ${message.content}\n`;
+      continue;
+    }
+    const role = message.role === 'user' ? 'User' : 'Assistant';
+    conversationContext += `${role}: ${message.content}\n`;
+  }
+  return conversationContext;
+};
+
+
+/**
+ * Prompt asking the model to turn a follow-up question into a standalone one
+ */
+export const buildRewritePrompt = (question, history, profile = BUILT_IN_PROFILES['dsa-expert']) => {
+  return `${formatHistory(history, 'Previous conversation:\n')}
+
+Current question: ${question}
+
+${profile.rewriteInstruction || DEFAULT_REWRITE_INSTRUCTION}
+
+Standalone question:`;
+};
+
+
+/**
+ * Prompt asking the model to answer from the numbered document context
+ */
+export const buildAnswerPrompt = (query, context, history = [], profile = BUILT_IN_PROFILES['dsa-expert']) => {
+  const formatInstruction = OUTPUT_FORMATS[profile.outputFormat];
+  
+  const systemInstruction = `${profile.systemInstruction}
+
+Guidelines:
+${profile.answerStyle ? `${profile.answerStyle}\n` : ''}${formatInstruction ? `- ${formatInstruction}\n` : ''}${CITATION_GUIDELINES}`;
+  
+  // Build conversation history context
+  const conversationContext = history && history.length > 0
+    ? formatHistory(history, '\n\nPrevious conversation:\n')
+    : '';
+  
+  // Build the complete prompt
+  return `${systemInstruction}
+
+Document Context:
+${context}
+${conversationContext}
+
+Current Question: ${query}
+
+Please provide a helpful answer based on the document context and conversation history:`;
+};
+
+
+/**
+ * Prompt asking the model to fold older conversation turns into the
+ * running summary that replaces them in later prompts
+ */
+export const buildSummaryPrompt = (previousSummary, messages, maxWords) => {
+  const summarySoFar = previousSummary ? `Summary so far:\n${previousSummary}\n\n` : '';
+  
+  return `You maintain a running summary of a conversation about a document.
+
+${summarySoFar}${formatHistory(messages, 'New messages:\n')}
+Update the summary so it also covers the new messages. Keep the topics, facts, names and numbers a follow-up question might refer to. Use at most ${maxWords} words.
+
+Updated summary:`;
+};
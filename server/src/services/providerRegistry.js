@@ -0,0 +1,95 @@
+import { googleProvider } from './providers/googleProvider.js';
+import { openaiProvider } from './providers/openaiProvider.js';
+import { offlineProvider } from './providers/offlineProvider.js';
+
+// Model providers by name. Each provider exposes createEmbeddings({ model })
+// and createChatModel({ model, temperature }) returning objects with the
+// LangChain call signatures (embedQuery/embedDocuments, invoke/stream).
+const providers = new Map([
+  ['google', googleProvider],
+  ['openai', openaiProvider],
+  ['offline', offlineProvider]
+]);
+
+// Default chat temperature when neither config nor caller sets one
+const DEFAULT_TEMPERATURE = 0.7;
+
+// Chat models by option set (temperature etc.), created on first use
+const chatModels = new Map();
+
+/**
+ * Register an additional provider (or replace a built-in one)
+ */
+export const registerProvider = (name, provider) => {
+  if (typeof provider?.createEmbeddings !== 'function' || typeof provider?.createChatModel !== 'function') {
+    throw new Error(`Provider "${name}" must implement createEmbeddings and createChatModel`);
+  }
+  providers.set(name, provider);
+};
+
+const getProvider = (name) => {
+  const provider = providers.get(name);
+  
+  if (!provider) {
+    throw new Error(`Unknown model provider "${name}" (expected one of: ${[...providers.keys()].join(', ')})`);
+  }
+  
+  return provider;
+};
+
+
+/**
+ * Embedding configuration from EMBEDDING_PROVIDER / EMBEDDING_MODEL
+ */
+export const getEmbeddingConfig = () => {
+  const providerName = process.env.EMBEDDING_PROVIDER || 'google';
+  const provider = getProvider(providerName);
+  
+  return {
+    provider: providerName,
+    model: process.env.EMBEDDING_MODEL || provider.defaultEmbeddingModel
+  };
+};
+
+
+/**
+ * Chat configuration from CHAT_PROVIDER / CHAT_MODEL / CHAT_TEMPERATURE
+ */
+export const getChatConfig = () => {
+  const providerName = process.env.CHAT_PROVIDER || 'google';
+  const provider = getProvider(providerName);
+  const temperature = parseFloat(process.env.CHAT_TEMPERATURE);
+  
+  return {
+    provider: providerName,
+    model: process.env.CHAT_MODEL || provider.defaultChatModel,
+    temperature: Number.isNaN(temperature) ? DEFAULT_TEMPERATURE : temperature
+  };
+};
+
+
+export const createEmbeddings = () => {
+  const { provider, model } = getEmbeddingConfig();
+  return getProvider(provider).createEmbeddings({ model });
+};
+
+
+export const createChatModel = (overrides = {}) => {
+  const config = { ...getChatConfig(), ...overrides };
+  return getProvider(config.provider).createChatModel(config);
+};
+
+
+/**
+ * Get a shared chat model selected by CHAT_PROVIDER / CHAT_MODEL,
+ * optionally overriding settings such as temperature
+ */
+export const getChatModel = (overrides = {}) => {
+  const key = JSON.stringify(overrides);
+  
+  if (!chatModels.has(key)) {
+    chatModels.set(key, createChatModel(overrides));
+  }
+  
+  return chatModels.get(key);
+};
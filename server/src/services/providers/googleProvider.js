@@ -0,0 +1,31 @@
+import { ChatGoogleGenerativeAI, GoogleGenerativeAIEmbeddings } from '@langchain/google-genai';
+
+const getApiKey = () => {
+  const apiKey = process.env.GEMINI_API_KEY;
+  
+  if (!apiKey) {
+    throw new Error('GEMINI_API_KEY environment variable is not set');
+  }
+  
+  return apiKey;
+};
+
+
+/**
+ * Google Gemini models through LangChain
+ */
+export const googleProvider = {
+  defaultEmbeddingModel: 'text-embedding-004',
+  defaultChatModel: 'gemini-2.0-flash',
+  
+  createEmbeddings: ({ model }) => new GoogleGenerativeAIEmbeddings({
+    apiKey: getApiKey(),
+    modelName: model,
+  }),
+  
+  createChatModel: ({ model, temperature }) => new ChatGoogleGenerativeAI({
+    apiKey: getApiKey(),
+    model,
+    temperature,
+  })
+};
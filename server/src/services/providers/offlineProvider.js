@@ -0,0 +1,85 @@
+import { createHash } from 'crypto';
+
+/**
+ * Deterministic, network-free models for development and tests.
+ * Embeddings use feature hashing of word unigrams and bigrams, so texts
+ * sharing words end up close together. The chat model is a canned
+ * responder that quotes the top-ranked context chunk.
+ */
+
+const tokenize = (text) => text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+const hashFeature = (feature) => createHash('md5').update(feature).digest().readUInt32LE(0);
+
+export const hashEmbedding = (text, dimensions) => {
+  const vector = new Array(dimensions).fill(0);
+  const tokens = tokenize(text);
+  const features = [...tokens, ...tokens.slice(1).map((token, i) => `${tokens[i]} ${token}`)];
+  
+  for (const feature of features) {
+    const hash = hashFeature(feature);
+    // Lowest bit picks the sign so unrelated features cancel out on average
+    vector[(hash >>> 1) % dimensions] += hash & 1 ? 1 : -1;
+  }
+  
+  const length = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return length === 0 ? vector : vector.map(value => value / length);
+};
+
+
+/**
+ * Produce a canned answer from a prompt built by queryService
+ */
+const respond = (prompt) => {
+  // Query rewriting: echo the current question back as the standalone query
+  if (/Standalone question:\s*$/.test(prompt)) {
+    const match = prompt.match(/Current question:\s*(.*)/);
+    return match ? match[1].trim() : '';
+  }
+  
+  // History summarization: list the questions asked so far
+  if (/Updated summary:\s*$/.test(prompt)) {
+    const previous = prompt.match(/Summary so far:\n([\s\S]*?)\n\n/);
+    const questions = [...prompt.matchAll(/^User: (.*)$/gm)].map(match => match[1].trim());
+    return [previous?.[1], questions.length > 0 && `The user asked: ${questions.join('; ')}.`]
+      .filter(Boolean)
+      .join(' ');
+  }
+  
+  // Answering: quote the first context chunk and cite it
+  const contextMatch = prompt.match(/Document Context:\n\[(\d+)\][^\n]*\n([\s\S]*?)(?:\n\n---\n\n|\n\n(?:Previous conversation|Current Question):)/);
+  if (contextMatch) {
+    const excerpt = contextMatch[2].replace(/\s+/g, ' ').trim().slice(0, 300);
+    return `According to the document: ${excerpt} [${contextMatch[1]}]`;
+  }
+  
+  return 'This is an offline response; no document context was provided.';
+};
+
+
+export const offlineProvider = {
+  defaultEmbeddingModel: 'hashing-768',
+  defaultChatModel: 'canned',
+  
+  createEmbeddings: ({ model }) => {
+    const dimensions = parseInt(model.split('-')[1]) || 768;
+    
+    return {
+      embedDocuments: async (texts) => texts.map(text => hashEmbedding(text, dimensions)),
+      embedQuery: async (text) => hashEmbedding(text, dimensions)
+    };
+  },
+  
+  createChatModel: () => ({
+    invoke: async (prompt) => ({ content: respond(prompt) }),
+    
+    stream: async (prompt) => {
+      const words = respond(prompt).split(/(?<=\s)/);
+      return (async function* () {
+        for (const word of words) {
+          yield { content: word };
+        }
+      })();
+    }
+  })
+};
@@ -0,0 +1,140 @@
+/**
+ * Any server speaking the OpenAI HTTP API (OpenAI itself, Ollama, LM Studio,
+ * vLLM, llama.cpp server...). OPENAI_BASE_URL points at the `/v1` root.
+ */
+
+const readInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+const getConfig = () => ({
+  baseUrl: (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, ''),
+  apiKey: process.env.OPENAI_API_KEY || '',
+  timeoutMs: readInt(process.env.OPENAI_TIMEOUT_MS, 60000)
+});
+
+
+/**
+ * POST to the API. The request fails after OPENAI_TIMEOUT_MS: for a
+ * streamed response that bounds the wait for it to start, otherwise the
+ * whole call including reading the body.
+ */
+const post = async (path, body, { signal } = {}) => {
+  const { baseUrl, apiKey, timeoutMs } = getConfig();
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) {
+    headers.Authorization = `Bearer ${apiKey}`;
+  }
+  
+  const timeout = body.stream ? new AbortController() : null;
+  const timeoutSignal = timeout ? timeout.signal : AbortSignal.timeout(timeoutMs);
+  const timer = timeout && setTimeout(() => timeout.abort(new DOMException('The operation was aborted due to timeout', 'TimeoutError')), timeoutMs);
+  
+  let response;
+  try {
+    response = await fetch(`${baseUrl}${path}`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body),
+      signal: signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal
+    });
+  } finally {
+    clearTimeout(timer);
+  }
+  
+  if (!response.ok) {
+    const detail = await response.text().catch(() => '');
+    const error = new Error(`OpenAI-compatible API error ${response.status}: ${detail.slice(0, 500)}`);
+    error.status = response.status;
+    
+    // Retry-After in seconds, used when backing off rate-limited requests
+    const retryAfter = parseFloat(response.headers.get('retry-after'));
+    if (Number.isFinite(retryAfter)) {
+      error.retryAfterMs = retryAfter * 1000;
+    }
+    throw error;
+  }
+  
+  return response;
+};
+
+
+/**
+ * Parse an OpenAI streaming response (SSE `data:` lines) into text deltas
+ */
+async function* readStreamDeltas(response) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  
+  for await (const bytes of response.body) {
+    buffer += decoder.decode(bytes, { stream: true });
+    
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline).trim();
+      buffer = buffer.slice(newline + 1);
+      
+      if (!line.startsWith('data:')) {
+        continue;
+      }
+      
+      const payload = line.slice(5).trim();
+      if (payload === '[DONE]') {
+        return;
+      }
+      
+      const delta = JSON.parse(payload).choices?.[0]?.delta?.content;
+      if (delta) {
+        yield delta;
+      }
+    }
+  }
+}
+
+
+export const openaiProvider = {
+  defaultEmbeddingModel: 'text-embedding-3-small',
+  defaultChatModel: 'gpt-4o-mini',
+  
+  createEmbeddings: ({ model }) => {
+    const embed = async (input) => {
+      const response = await post('/embeddings', { model, input });
+      const { data } = await response.json();
+      return data
+        .sort((a, b) => a.index - b.index)
+        .map(item => item.embedding);
+    };
+    
+    return {
+      embedDocuments: async (texts) => (texts.length === 0 ? [] : embed(texts)),
+      embedQuery: async (text) => (await embed([text]))[0]
+    };
+  },
+  
+  createChatModel: ({ model, temperature }) => {
+    const request = (prompt, stream) => ({
+      model,
+      temperature,
+      stream,
+      messages: [{ role: 'user', content: prompt }]
+    });
+    
+    return {
+      invoke: async (prompt, { signal } = {}) => {
+        const response = await post('/chat/completions', request(prompt, false), { signal });
+        const data = await response.json();
+        return { content: data.choices?.[0]?.message?.content || '' };
+      },
+      
+      stream: async (prompt, { signal } = {}) => {
+        const response = await post('/chat/completions', request(prompt, true), { signal });
+        return (async function* () {
+          for await (const delta of readStreamDeltas(response)) {
+            yield { content: delta };
+          }
+        })();
+      }
+    };
+  }
+};
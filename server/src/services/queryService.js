@@ -1,170 +1,358 @@
-import { ChatGoogleGenerativeAI } from '@langchain/google-genai';
-import { embedText } from './embeddingService.js';
-import { searchVectors } from './pineconeService.js';
+import { getChatModel } from './providerRegistry.js';
+import { retrieve } from './retrievalService.js';
+import { buildAnswerPrompt, buildRewritePrompt } from './promptService.js';
+import { getContextBudget, fitHistory, fitSources, buildContextReport } from './contextService.js';
+import { estimateTokens } from '../utils/tokens.js';
+import { logger } from '../utils/logger.js';
+import { generateDuration, timed } from './metricsService.js';
 
-let geminiModel = null;
 
-
-const getGeminiModel = () => {
-  if (!geminiModel) {
-    const apiKey = process.env.GEMINI_API_KEY;
-    
-    if (!apiKey) {
-      throw new Error('GEMINI_API_KEY environment variable is not set');
-    }
-    
-    geminiModel = new ChatGoogleGenerativeAI({
-      apiKey,
-      model: 'gemini-2.0-flash',
-      temperature: 0.7,
-    });
-  }
-  
-  return geminiModel;
+/**
+ * Chat model for a prompt profile (profiles may set their own temperature)
+ */
+const getProfileModel = (profile) => {
+  return getChatModel(profile?.temperature !== undefined ? { temperature: profile.temperature } : {});
 };
 
 
-export const transformQuery = async (question, history = []) => {
+export const transformQuery = async (question, history = [], profile) => {
   try {
     // If no history, return the question as-is
     if (!history || history.length === 0) {
       return question;
     }
     
-    const model = getGeminiModel();
-    
-    // Build conversation context from history
-    let conversationContext = 'Previous conversation:\n';
-    for (const message of history) {
-      const role = message.role === 'user' ? 'User' : 'Assistant';
-      conversationContext += `${role}: ${message.content}\n`;
-    }
+    const model = getProfileModel(profile);
     
     // Create prompt for query transformation
-    const prompt = `${conversationContext}
-
-Current question: ${question}
-
-Based on the conversation history above, rewrite the current question as a standalone question that includes all necessary context. If the question already has all the context, return it as-is.
-
-Standalone question:`;
+    const prompt = buildRewritePrompt(question, history, profile);
     
     const response = await model.invoke(prompt);
     const standaloneQuery = response.content.trim();
     return standaloneQuery;
   } catch (error) {
-    console.error('Error transforming query:', error);
+    logger.error('Error transforming query', { error });
     // If transformation fails, return original question
     return question;
   }
 };
 
 
-export const searchDocuments = async (documentId, query, topK = 10) => {
-  try {
-    // Convert query to embedding
-    const queryVector = await embedText(query);
+// Length of the text snippet returned with each source
+const SNIPPET_LENGTH = 200;
+
+
+const toSnippet = (text) => {
+  const normalized = text.replace(/\s+/g, ' ').trim();
+  if (normalized.length <= SNIPPET_LENGTH) {
+    return normalized;
+  }
+  return `${normalized.slice(0, SNIPPET_LENGTH).trimEnd()}…`;
+};
+
+
+const roundScores = (scores) => Object.fromEntries(
+  Object.entries(scores).map(([name, score]) => [name, Number(score.toFixed(4))])
+);
+
+
+/**
+ * Turn search matches into numbered sources. The number is the
+ * citation marker ([n]) the model is asked to use in its answer.
+ */
+export const buildSources = (matches) => {
+  return matches.map((match, index) => {
+    const metadata = match.metadata || {};
+    const page = metadata.pageNumber ?? metadata.pageStart ?? null;
     
-    // Search Pinecone for similar vectors
-    const searchResults = await searchVectors(documentId, queryVector, topK);
+    return {
+      id: index + 1,
+      documentId: metadata.documentId ?? null,
+      fileName: metadata.fileName ?? null,
+      chunkIndex: metadata.chunkIndex ?? null,
+      page,
+      pageStart: metadata.pageStart ?? page,
+      pageEnd: metadata.pageEnd ?? page,
+      ...(metadata.section && { section: metadata.section }),
+      ...(metadata.ocr && { ocr: true, ocrConfidence: metadata.ocrConfidence }),
+      ...(metadata.containsCode && { containsCode: true }),
+      score: typeof match.score === 'number' ? Number(match.score.toFixed(4)) : null,
+      ...(match.scores && { retrieverScores: roundScores(match.scores) }),
+      ...(typeof match.rerankScore === 'number' && { rerankScore: Number(match.rerankScore.toFixed(4)) }),
+      snippet: toSnippet(metadata.text || ''),
+      // Sentence-window chunks are matched on the chunk but read in context
+      text: metadata.window || metadata.text || ''
+    };
+  });
+};
+
+
+const formatSourceLabel = (source, includeFileName) => {
+  const parts = [`[${source.id}]`];
+  if (includeFileName && source.fileName) {
+    parts.push(source.fileName);
+  }
+  if (source.page !== null) {
+    parts.push(source.pageEnd && source.pageEnd !== source.pageStart
+      ? `Pages ${source.pageStart}-${source.pageEnd}`
+      : `Page ${source.page}`);
+  }
+  if (source.section) {
+    parts.push(`Section: ${source.section}`);
+  }
+  parts.push(`Relevance: ${source.score !== null ? source.score.toFixed(4) : 'N/A'}`);
+  return parts.join(' ');
+};
+
+
+/**
+ * Format numbered sources as the prompt context, naming the file whenever
+ * they come from more than one document
+ */
+const formatContext = (sources) => {
+  const multipleDocuments = new Set(sources.map(source => source.documentId)).size > 1;
+  return sources
+    .map(source => `${formatSourceLabel(source, multipleDocuments)}\n${source.text}`)
+    .join('\n\n---\n\n');
+};
+
+
+/**
+ * Search documents for the query. `options` are the per-request retrieval
+ * options (mode, topK, reranker, MMR settings), see retrievalService.retrieve.
+ */
+export const searchDocuments = async (documentIds, query, options = {}) => {
+  try {
+    // Retrieve, rerank and diversify
+    const searchResults = await retrieve(documentIds, query, options);
     
     if (!searchResults || searchResults.length === 0) {
-      return '';
+      return { context: '', sources: [] };
     }
     
-    // Extract and format context from search results
-    const context = searchResults
-      .map((result, index) => {
-        const text = result.metadata?.text || '';
-        const score = result.score?.toFixed(4) || 'N/A';
-        return `[Chunk ${index + 1}, Relevance: ${score}]\n${text}`;
-      })
-      .join('\n\n---\n\n');
-    
-    return context;
+    // Number the results and format them as the prompt context
+    const sources = buildSources(searchResults);
+    return { context: formatContext(sources), sources };
   } catch (error) {
-    console.error('Error searching documents:', error);
+    logger.error('Error searching documents', { error });
     throw new Error(`Failed to search documents: ${error.message}`);
   }
 };
 
 
-export const generateAnswer = async (query, context, history = []) => {
-  try {
-    const model = getGeminiModel();
-    
-    // Build system instruction for DSA expert behavior
-    const systemInstruction = `You are an expert in Data Structures and Algorithms (DSA). Your role is to provide clear, accurate, and helpful answers based on the provided document context.
-
-Guidelines:
-- Answer questions based primarily on the provided context
-- If the context doesn't contain enough information, acknowledge this and provide what you can
-- Be concise but thorough in your explanations
-- Use examples when helpful
-- If asked about code or algorithms, explain them step by step
-- Maintain a helpful and educational tone`;
-    
-    // Build conversation history context
-    let conversationContext = '';
-    if (history && history.length > 0) {
-      conversationContext = '\n\nPrevious conversation:\n';
-      for (const message of history) {
-        const role = message.role === 'user' ? 'User' : 'Assistant';
-        conversationContext += `${role}: ${message.content}\n`;
-      }
-    }
-    
-    // Build the complete prompt
-    const prompt = `${systemInstruction}
+/**
+ * Fit the retrieved sources into what the budget leaves after the prompt
+ * frame (instructions, question and fitted history), best-ranked first.
+ * Sources come before history: when none fits next to the history, the
+ * history is left out, and when none fits even then, the top source is
+ * kept clipped and the usage report flags `budgetExceeded`. Returns the
+ * context with the sources and history to prompt with and a usage report.
+ */
+export const assembleContext = (query, fittedHistory, sources, { budget, profile }) => {
+  const multipleDocuments = new Set(sources.map(source => source.documentId)).size > 1;
+  const formatSource = source => `${formatSourceLabel(source, multipleDocuments)}\n${source.text}`;
+
+  const fitWith = (history, options) => {
+    const frameTokens = estimateTokens(buildAnswerPrompt(query, '', history, profile));
+    return { frameTokens, fitted: fitSources(sources, budget.maxTokens - frameTokens, formatSource, options) };
+  };
+
+  let history = fittedHistory.history;
+  let historyReport = fittedHistory.report;
+  let { frameTokens, fitted } = fitWith(history);
+
+  if (sources.length > 0 && fitted.sources.length === 0 && history.length > 0) {
+    history = [];
+    historyReport = { ...historyReport, included: 0, clipped: 0, tokens: 0, dropped: fittedHistory.history.length };
+    ({ frameTokens, fitted } = fitWith(history));
+  }
+  if (sources.length > 0 && fitted.sources.length === 0) {
+    ({ frameTokens, fitted } = fitWith(history, { keepFirst: true }));
+  }
+
+  return {
+    context: formatContext(fitted.sources),
+    sources: fitted.sources,
+    history,
+    contextUsage: buildContextReport(budget, {
+      promptTokens: frameTokens + fitted.report.tokens,
+      history: historyReport,
+      sources: fitted.report
+    })
+  };
+};
+
 
-Document Context:
-${context}
-${conversationContext}
+/**
+ * Drop citation markers that do not point at a known source, so every [n]
+ * left in the answer maps to an entry in `sources`
+ */
+export const normalizeCitations = (answer, sources) => {
+  const validIds = new Set(sources.map(source => source.id));
+  
+  // A run of markers like "[1][2, 3]" not glued to an identifier (so code
+  // such as `arr[0]` or `grid[i][2]` is left alone)
+  const markerRun = /([ \t]*)(?<![\w$)\]])((?:\[\d+(?:\s*,\s*\d+)*\])+)/g;
+  
+  return answer.replace(markerRun, (match, space, run) => {
+    const kept = [...new Set(run.match(/\d+/g).map(Number))].filter(id => validIds.has(id));
+    return kept.length > 0 ? space + kept.map(id => `[${id}]`).join('') : '';
+  });
+};
+
+
+/**
+ * Strip the full chunk text from sources before they leave the service
+ */
+const publicSources = (sources) => sources.map(({ text, ...source }) => source);
 
-Current Question: ${query}
 
-Please provide a helpful answer based on the document context and conversation history:`;
+// Answer returned when the search finds nothing relevant
+const NO_RESULTS_ANSWER = "I couldn't find any relevant information in the document to answer your question. Could you please rephrase or ask something else?";
+
+
+export const generateAnswer = async (query, context, history = [], sources = [], profile) => {
+  try {
+    const model = getProfileModel(profile);
+    const prompt = buildAnswerPrompt(query, context, history, profile);
     
-    const response = await model.invoke(prompt);
-    const answer = response.content.trim();
+    const response = await timed(generateDuration, { stream: 'false' }, () => model.invoke(prompt));
+    const answer = normalizeCitations(response.content.trim(), sources);
     
     return {
       answer,
+      sources: publicSources(sources),
       timestamp: new Date().toISOString()
     };
   } catch (error) {
-    console.error('Error generating answer:', error);
+    logger.error('Error generating answer', { error });
     throw new Error(`Failed to generate answer: ${error.message}`);
   }
 };
 
 
-export const processQuery = async (documentId, question, history = []) => {
+/**
+ * Stream the answer as it is generated, yielding text deltas.
+ * Returns the complete (citation-normalized) answer when done.
+ */
+export async function* streamAnswer(query, context, history = [], sources = [], { signal, profile } = {}) {
+  let answer = '';
+  const endTimer = generateDuration.startTimer({ stream: 'true' });
+  
+  try {
+    const model = getProfileModel(profile);
+    const prompt = buildAnswerPrompt(query, context, history, profile);
+    const stream = await model.stream(prompt, { signal });
+    
+    for await (const chunk of stream) {
+      const delta = typeof chunk.content === 'string' ? chunk.content : '';
+      if (delta) {
+        answer += delta;
+        yield delta;
+      }
+    }
+  } catch (error) {
+    logger.error('Error streaming answer', { error });
+    throw new Error(`Failed to generate answer: ${error.message}`);
+  } finally {
+    endTimer();
+  }
+  
+  return normalizeCitations(answer.trim(), sources);
+}
+
+
+/**
+ * Streaming counterpart of processQuery. Yields { event, data } pairs:
+ * `query` (standalone query), `sources`, `token` (answer deltas) and a
+ * final `done` with the complete answer, the context usage report and the
+ * updated `historySummary`.
+ */
+export async function* streamQuery(documentIds, question, history = [], { signal, retrieval = {}, profile, context: contextOptions, summary } = {}) {
+  // Step 1: Fit the history into its budget and transform the query with it
+  const budget = getContextBudget(contextOptions);
+  const fittedHistory = await fitHistory(history, { budget, summary, profile });
+  const standaloneQuery = await transformQuery(question, fittedHistory.history, profile);
+  yield { event: 'query', data: { query: standaloneQuery } };
+  
+  // Step 2: Search for relevant document chunks and keep those that fit
+  const { sources: retrieved } = await searchDocuments(documentIds, standaloneQuery, retrieval);
+  const { context, sources, history: promptHistory, contextUsage } = assembleContext(standaloneQuery, fittedHistory, retrieved, { budget, profile });
+  yield { event: 'sources', data: { sources: publicSources(sources) } };
+  
+  if (!context || context.trim().length === 0) {
+    yield { event: 'token', data: { text: NO_RESULTS_ANSWER } };
+    yield {
+      event: 'done',
+      data: { answer: NO_RESULTS_ANSWER, sources: [], contextUsage, historySummary: fittedHistory.summary, timestamp: new Date().toISOString() }
+    };
+    return;
+  }
+  
+  // Step 3: Stream the answer from the LLM
+  const answerStream = streamAnswer(standaloneQuery, context, promptHistory, sources, { signal, profile });
+  let step = await answerStream.next();
+  while (!step.done) {
+    yield { event: 'token', data: { text: step.value } };
+    step = await answerStream.next();
+  }
+  
+  yield {
+    event: 'done',
+    data: { answer: step.value, sources: publicSources(sources), contextUsage, historySummary: fittedHistory.summary, timestamp: new Date().toISOString() }
+  };
+}
+
+
+/**
+ * Answer a question. `context` overrides the token budget ({ maxTokens,
+ * historyTokens }) and `summary` is a rolling summary already covering the
+ * oldest history messages; the result carries the updated `historySummary`
+ * and a `contextUsage` report of what was summarized or left out.
+ * `includeSourceText` keeps the full chunk text on the returned sources
+ * (for evaluation; API responses only carry snippets).
+ */
+export const processQuery = async (documentIds, question, history = [], { retrieval = {}, profile, context: contextOptions, summary, includeSourceText = false } = {}) => {
   const maxRetries = 1;
   let lastError = null;
   
+  // Step 1: Fit the history into its budget, summarizing older turns
+  const budget = getContextBudget(contextOptions);
+  const fittedHistory = await fitHistory(history, { budget, summary, profile });
+  
   for (let attempt = 0; attempt <= maxRetries; attempt++) {
     try {
-      // Step 1: Transform query with conversation history
-      const standaloneQuery = await transformQuery(question, history);
+      // Step 2: Transform query with conversation history
+      const standaloneQuery = await transformQuery(question, fittedHistory.history, profile);
       
-      // Step 2: Search for relevant document chunks
-      const context = await searchDocuments(documentId, standaloneQuery);
+      // Step 3: Search for relevant document chunks and keep those that fit
+      const { sources: retrieved } = await searchDocuments(documentIds, standaloneQuery, retrieval);
+      const { context, sources, history: promptHistory, contextUsage } = assembleContext(standaloneQuery, fittedHistory, retrieved, { budget, profile });
       
       if (!context || context.trim().length === 0) {
         return {
-          answer: "I couldn't find any relevant information in the document to answer your question. Could you please rephrase or ask something else?",
+          answer: NO_RESULTS_ANSWER,
+          query: standaloneQuery,
+          sources: [],
+          contextUsage,
+          historySummary: fittedHistory.summary,
           timestamp: new Date().toISOString()
         };
       }
       
-      // Step 3: Generate answer with LLM
-      const result = await generateAnswer(standaloneQuery, context, history);
-      return result;
+      // Step 4: Generate answer with LLM
+      const result = await generateAnswer(standaloneQuery, context, promptHistory, sources, profile);
+      return {
+        ...result,
+        ...(includeSourceText && { sources }),
+        query: standaloneQuery,
+        contextUsage,
+        historySummary: fittedHistory.summary
+      };
       
     } catch (error) {
       lastError = error;
-      console.error(`Error in query processing (attempt ${attempt + 1}):`, error.message);
+      logger.error('Error in query processing', { attempt: attempt + 1, error });
       
       // If this is a vector search error, don't retry
       if (error.message.includes('search')) {
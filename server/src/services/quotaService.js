@@ -0,0 +1,186 @@
+import { getUsageRepository } from '../repositories/usageRepository.js';
+import { logger } from '../utils/logger.js';
+
+const MINUTE_MS = 60 * 1000;
+
+// Ingestion slots held by each client in this process: clientId -> count.
+// Kept in memory on purpose: they follow this process's ingestion queue.
+const activeIngestions = new Map();
+
+const readInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+/**
+ * Per-client limits. 0 turns a limit off.
+ */
+export const getLimits = () => ({
+  queriesPerMinute: readInt(process.env.RATE_LIMIT_QUERIES_PER_MINUTE, 60),
+  uploadsPerMinute: readInt(process.env.RATE_LIMIT_UPLOADS_PER_MINUTE, 10),
+  concurrentIngestions: readInt(process.env.QUOTA_CONCURRENT_INGESTIONS, 3),
+  dailyPages: readInt(process.env.QUOTA_DAILY_PAGES, 5000),
+  dailyEmbeddingTokens: readInt(process.env.QUOTA_DAILY_EMBEDDING_TOKENS, 5000000)
+});
+
+/**
+ * Identify the client limits apply to: its API key, its JWT subject, or
+ * its IP address when authentication is off. Behind a reverse proxy the
+ * IP is only the client's when TRUST_PROXY is set (see server.js);
+ * otherwise every client shares the proxy's address and its limits.
+ */
+export const getClientId = (req) => {
+  const auth = req.auth || {};
+
+  if (auth.method === 'api-key') {
+    return `key:${auth.keyId}`;
+  }
+  if (auth.method === 'jwt') {
+    return `jwt:${auth.tenantId}:${auth.subject || '-'}`;
+  }
+  return `ip:${req.ip}`;
+};
+
+const describeQuota = (limit, used) => ({
+  limit: limit || null,
+  used,
+  remaining: limit ? Math.max(limit - used, 0) : null
+});
+
+const requestLimit = (scope) => {
+  const limits = getLimits();
+  return scope === 'upload' ? limits.uploadsPerMinute : limits.queriesPerMinute;
+};
+
+const currentWindow = (clientId, scope) => {
+  const windowStart = Math.floor(Date.now() / MINUTE_MS) * MINUTE_MS;
+  return { key: `rate:${scope}:${clientId}:${windowStart}`, resetAt: windowStart + MINUTE_MS };
+};
+
+/**
+ * Count one request against the client's per-minute limit for `scope`
+ * ('query' or 'upload'). Resolves to { limit, remaining, resetAt, allowed },
+ * or null when the scope is unlimited.
+ */
+export const consumeRequest = async (clientId, scope) => {
+  const limit = requestLimit(scope);
+  if (!limit) {
+    return null;
+  }
+
+  const { key, resetAt } = currentWindow(clientId, scope);
+  const usage = getUsageRepository();
+
+  if ((await usage.get(key)) >= limit) {
+    return { limit, remaining: 0, resetAt, allowed: false };
+  }
+
+  const count = await usage.increment(key, 1, resetAt);
+  return { limit, remaining: Math.max(limit - count, 0), resetAt, allowed: true };
+};
+
+/**
+ * The client's use of its per-minute limit for `scope`, without counting
+ * a request
+ */
+export const getRequestUsage = async (clientId, scope) => {
+  const limit = requestLimit(scope);
+  const { key, resetAt } = currentWindow(clientId, scope);
+  const used = await getUsageRepository().get(key);
+
+  return { ...describeQuota(limit, used), resetAt };
+};
+
+const startOfNextUtcDay = () => {
+  const now = new Date();
+  return Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+};
+
+const dailyKey = (kind, clientId) => `daily:${kind}:${clientId}:${new Date().toISOString().slice(0, 10)}`;
+
+/**
+ * The client's usage of its daily page and embedding-token quotas
+ * (quotas reset at midnight UTC; a null limit means unlimited)
+ */
+export const getDailyUsage = async (clientId) => {
+  const limits = getLimits();
+  const usage = getUsageRepository();
+
+  return {
+    pages: describeQuota(limits.dailyPages, await usage.get(dailyKey('pages', clientId))),
+    embeddingTokens: describeQuota(limits.dailyEmbeddingTokens, await usage.get(dailyKey('tokens', clientId))),
+    resetAt: startOfNextUtcDay()
+  };
+};
+
+/**
+ * Whether the client's remaining daily quotas cover the cost of the next
+ * ingestion step ({ pages, embeddingTokens }). Returns an error message,
+ * or null when it fits.
+ */
+export const checkIngestionCost = async (clientId, { pages = 0, embeddingTokens = 0 }) => {
+  const daily = await getDailyUsage(clientId);
+
+  if (pages > 0 && daily.pages.limit && daily.pages.used + pages > daily.pages.limit) {
+    return `Daily page quota exceeded: ${pages} pages needed, ${daily.pages.remaining} left today`;
+  }
+  if (embeddingTokens > 0 && daily.embeddingTokens.limit && daily.embeddingTokens.used + embeddingTokens > daily.embeddingTokens.limit) {
+    return `Daily embedding-token quota exceeded: ${embeddingTokens} tokens needed, ${daily.embeddingTokens.remaining} left today`;
+  }
+  return null;
+};
+
+/**
+ * Charge ingestion work to the client's daily quotas as it is done.
+ * Concurrent ingestions can push usage past a limit; the overshoot is
+ * logged and blocks further uploads until the reset.
+ */
+export const chargeIngestionUsage = async (clientId, { pages = 0, embeddingTokens = 0 }) => {
+  const limits = getLimits();
+  const usage = getUsageRepository();
+  const resetAt = startOfNextUtcDay();
+
+  for (const [kind, amount, limit] of [['pages', pages, limits.dailyPages], ['tokens', embeddingTokens, limits.dailyEmbeddingTokens]]) {
+    if (amount <= 0) {
+      continue;
+    }
+    const used = await usage.increment(dailyKey(kind, clientId), amount, resetAt);
+    if (limit && used > limit) {
+      logger.warn('Daily quota overshot', { clientId, quota: kind, limit, used });
+    }
+  }
+};
+
+/**
+ * Take one of the client's concurrent ingestion slots.
+ * Resolves to { limit, active, allowed, release }; `release` is idempotent.
+ */
+export const acquireIngestionSlot = (clientId) => {
+  const limit = getLimits().concurrentIngestions;
+  const active = activeIngestions.get(clientId) || 0;
+
+  if (limit && active >= limit) {
+    return { limit, active, allowed: false, release: () => {} };
+  }
+
+  activeIngestions.set(clientId, active + 1);
+
+  let released = false;
+  const release = () => {
+    if (released) {
+      return;
+    }
+    released = true;
+
+    const remaining = (activeIngestions.get(clientId) || 1) - 1;
+    if (remaining > 0) {
+      activeIngestions.set(clientId, remaining);
+    } else {
+      activeIngestions.delete(clientId);
+    }
+  };
+
+  return { limit: limit || null, active: active + 1, allowed: true, release };
+};
+
+export const getActiveIngestions = (clientId) => activeIngestions.get(clientId) || 0;
@@ -0,0 +1,228 @@
+import { getChatModel } from './providerRegistry.js';
+import { tokenize } from './keywordIndexService.js';
+import { logger } from '../utils/logger.js';
+
+// Passage length sent to the LLM judge, to keep the prompt bounded
+const LLM_PASSAGE_LENGTH = 800;
+
+const getCrossEncoderTimeout = () => {
+  const parsed = parseInt(process.env.RERANKER_TIMEOUT_MS, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : 5000;
+};
+
+
+/**
+ * Scale scores to [0, 1] so rerankers and thresholds are comparable
+ */
+const normalizeScores = (scores) => {
+  const min = Math.min(...scores);
+  const max = Math.max(...scores);
+  
+  if (max === min) {
+    return scores.map(() => (max > 0 ? 1 : 0));
+  }
+  
+  return scores.map(score => (score - min) / (max - min));
+};
+
+
+/**
+ * Keep the retriever's own ordering (normalized retrieval scores)
+ */
+const noneScorer = async (query, matches) => normalizeScores(matches.map(match => match.score ?? 0));
+
+
+/**
+ * Share of query terms found in the passage. Cheap, deterministic, and
+ * useful offline or as a baseline.
+ */
+const overlapScorer = async (query, matches) => {
+  const queryTerms = new Set(tokenize(query));
+  if (queryTerms.size === 0) {
+    return matches.map(() => 0);
+  }
+  
+  return matches.map(match => {
+    const passageTerms = new Set(tokenize(match.metadata?.text || ''));
+    let found = 0;
+    for (const term of queryTerms) {
+      if (passageTerms.has(term)) {
+        found++;
+      }
+    }
+    return found / queryTerms.size;
+  });
+};
+
+
+/**
+ * Ask the configured chat model to grade every passage from 0 to 10
+ */
+const llmScorer = async (query, matches) => {
+  const passages = matches
+    .map((match, i) => `[${i + 1}] ${(match.metadata?.text || '').slice(0, LLM_PASSAGE_LENGTH)}`)
+    .join('\n\n');
+  
+  const prompt = `You are grading search results. For each numbered passage, rate how useful it is for answering the question, from 0 (irrelevant) to 10 (directly answers it).
+
+Question: ${query}
+
+Passages:
+${passages}
+
+Reply with only a JSON array of ${matches.length} numbers, one per passage, in order.`;
+  
+  const response = await getChatModel({ temperature: 0 }).invoke(prompt);
+  const content = typeof response.content === 'string' ? response.content : '';
+  const grades = JSON.parse(content.match(/\[[\s\S]*?\]/)?.[0] || 'null');
+  
+  if (!Array.isArray(grades) || grades.length !== matches.length) {
+    throw new Error('LLM reranker returned an unexpected response');
+  }
+  
+  return grades.map(grade => Math.min(Math.max(Number(grade) || 0, 0), 10) / 10);
+};
+
+
+/**
+ * Cross-encoder served over HTTP (e.g. Hugging Face text-embeddings-inference
+ * `/rerank`): POST { query, texts } -> [{ index, score }]. A request taking
+ * longer than RERANKER_TIMEOUT_MS fails, leaving the retrieval order.
+ */
+const crossEncoderScorer = async (query, matches) => {
+  const url = process.env.RERANKER_URL;
+  if (!url) {
+    throw new Error('RERANKER_URL environment variable is not set');
+  }
+  
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ query, texts: matches.map(match => match.metadata?.text || '') }),
+    signal: AbortSignal.timeout(getCrossEncoderTimeout())
+  });
+  
+  if (!response.ok) {
+    throw new Error(`Reranker API error ${response.status}`);
+  }
+  
+  const results = await response.json();
+  const scores = new Array(matches.length).fill(0);
+  for (const { index, score } of results) {
+    scores[index] = score;
+  }
+  
+  return normalizeScores(scores);
+};
+
+
+// Rerankers by name. Each takes (query, matches) and resolves to one
+// relevance score in [0, 1] per match.
+const rerankers = new Map([
+  ['none', noneScorer],
+  ['overlap', overlapScorer],
+  ['llm', llmScorer],
+  ['cross-encoder', crossEncoderScorer]
+]);
+
+export const getRerankerNames = () => [...rerankers.keys()];
+
+
+export const registerReranker = (name, scorer) => {
+  rerankers.set(name, scorer);
+};
+
+
+export const getDefaultReranker = () => {
+  const name = process.env.RERANKER || 'none';
+  return rerankers.has(name) ? name : 'none';
+};
+
+
+/**
+ * Score every match with the chosen reranker and sort by that score.
+ * Each match gains `rerankScore`; the retriever's `score` is kept.
+ * A failing reranker falls back to the retrieval order.
+ */
+export const rerank = async (query, matches, reranker = getDefaultReranker()) => {
+  if (matches.length === 0) {
+    return [];
+  }
+  
+  const scorer = rerankers.get(reranker);
+  if (!scorer) {
+    throw new Error(`Unknown reranker "${reranker}"`);
+  }
+  
+  let scores;
+  try {
+    scores = await scorer(query, matches);
+  } catch (error) {
+    logger.warn('Reranker failed, keeping retrieval order', { reranker, error });
+    scores = await noneScorer(query, matches);
+  }
+  
+  return matches
+    .map((match, i) => ({ ...match, rerankScore: scores[i] }))
+    .sort((a, b) => b.rerankScore - a.rerankScore);
+};
+
+
+const jaccard = (a, b) => {
+  if (a.size === 0 && b.size === 0) {
+    return 1;
+  }
+  let shared = 0;
+  for (const term of a) {
+    if (b.has(term)) {
+      shared++;
+    }
+  }
+  return shared / (a.size + b.size - shared);
+};
+
+
+/**
+ * Pick up to topK matches with maximal marginal relevance:
+ * lambda * relevance - (1 - lambda) * (max similarity to already picked).
+ * Similarity is the Jaccard overlap of the chunks' terms, which is what
+ * overlapping splitter windows share. Matches whose relevance is below
+ * minScore, or that are more similar than maxSimilarity to a picked match,
+ * are dropped outright.
+ */
+export const selectDiverse = (matches, { topK = 10, lambda = 0.7, minScore = 0, maxSimilarity = 1 } = {}) => {
+  const candidates = matches
+    .filter(match => (match.rerankScore ?? 0) >= minScore)
+    .map(match => ({ match, terms: new Set(tokenize(match.metadata?.text || '')) }));
+  
+  const selected = [];
+  while (selected.length < topK && candidates.length > 0) {
+    let bestIndex = -1;
+    let bestValue = -Infinity;
+    
+    for (let i = 0; i < candidates.length; i++) {
+      const similarity = selected.reduce(
+        (max, picked) => Math.max(max, jaccard(candidates[i].terms, picked.terms)),
+        0
+      );
+      
+      if (similarity > maxSimilarity) {
+        continue;
+      }
+      
+      const value = lambda * (candidates[i].match.rerankScore ?? 0) - (1 - lambda) * similarity;
+      if (value > bestValue) {
+        bestValue = value;
+        bestIndex = i;
+      }
+    }
+    
+    if (bestIndex === -1) {
+      break;
+    }
+    
+    selected.push(candidates.splice(bestIndex, 1)[0]);
+  }
+  
+  return selected.map(({ match }) => match);
+};
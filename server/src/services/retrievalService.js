@@ -0,0 +1,127 @@
+import { embedText } from './embeddingService.js';
+import { searchVectors } from './vectorStoreService.js';
+import { searchKeywords, hasKeywordIndex } from './keywordIndexService.js';
+import { rerank, selectDiverse, getDefaultReranker } from './rerankService.js';
+import { searchDuration, timed } from './metricsService.js';
+
+// Retrieval modes that can be chosen per request
+export const RETRIEVAL_MODES = ['vector', 'keyword', 'hybrid'];
+
+// Reciprocal rank fusion constant (the value used in the original RRF paper)
+const RRF_K = 60;
+
+// How many candidates each retriever contributes per requested result in hybrid mode
+const HYBRID_CANDIDATE_FACTOR = 2;
+
+// Candidates over-fetched per final result, for reranking and MMR to choose from
+const CANDIDATE_FACTOR = 3;
+
+// Default post-retrieval settings
+const DEFAULT_TOP_K = 10;
+const DEFAULT_MAX_SIMILARITY = 0.9;
+
+const envNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+
+export const getDefaultRetrievalMode = () => {
+  const mode = process.env.RETRIEVAL_MODE || 'hybrid';
+  return RETRIEVAL_MODES.includes(mode) ? mode : 'hybrid';
+};
+
+
+/**
+ * Merge several ranked result lists with reciprocal rank fusion:
+ * score(d) = sum over lists of 1 / (RRF_K + rank(d)).
+ * Each fused match keeps the per-retriever scores under `scores`.
+ */
+export const fuseRankings = (rankings, topK) => {
+  const fused = new Map();
+  
+  for (const [retriever, matches] of Object.entries(rankings)) {
+    matches.forEach((match, index) => {
+      const entry = fused.get(match.id) || { id: match.id, score: 0, metadata: match.metadata, scores: {} };
+      entry.score += 1 / (RRF_K + index + 1);
+      entry.scores[retriever] = match.score;
+      fused.set(match.id, entry);
+    });
+  }
+  
+  return [...fused.values()]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, topK);
+};
+
+
+/**
+ * Run the retriever(s) for a mode and return up to `limit` ranked matches.
+ * Documents without a keyword index (ingested before keyword indexing
+ * existed) are searched by vector only, whatever the mode.
+ */
+const fetchCandidates = async (documentIds, query, mode, limit, namespace) => {
+  const ids = Array.isArray(documentIds) ? documentIds : [documentIds];
+  const indexed = [];
+  for (const documentId of ids) {
+    if (mode !== 'vector' && await hasKeywordIndex(documentId)) {
+      indexed.push(documentId);
+    }
+  }
+  const unindexed = ids.filter(documentId => !indexed.includes(documentId));
+  
+  if (mode === 'keyword' && unindexed.length === 0) {
+    return searchKeywords(indexed, query, limit);
+  }
+  
+  const queryVector = await embedText(query);
+  
+  if (indexed.length === 0) {
+    return searchVectors(ids, queryVector, limit, { namespace });
+  }
+  
+  // Keyword mode only falls back to vectors for the unindexed documents
+  const vectorIds = mode === 'keyword' ? unindexed : ids;
+  const perRetriever = limit * HYBRID_CANDIDATE_FACTOR;
+  const [vectorMatches, keywordMatches] = await Promise.all([
+    searchVectors(vectorIds, queryVector, perRetriever, { namespace }),
+    searchKeywords(indexed, query, perRetriever)
+  ]);
+  
+  return fuseRankings({ vector: vectorMatches, keyword: keywordMatches }, limit);
+};
+
+
+/**
+ * Retrieve the chunks most relevant to a query from one or more documents.
+ * Options (all optional, per request):
+ * - mode: 'vector' (embedding similarity), 'keyword' (BM25) or 'hybrid'
+ *   (both, merged with reciprocal rank fusion)
+ * - topK: number of chunks returned
+ * - candidates: chunks over-fetched for the post-retrieval stage
+ * - reranker: 'none', 'overlap', 'llm' or 'cross-encoder'
+ * - mmrLambda: relevance vs. diversity trade-off (1 = relevance only)
+ * - minScore: drop chunks whose rerank score (0-1) is below this
+ * - maxSimilarity: drop chunks more similar than this (0-1) to a picked one
+ * - namespace: vector store namespace of the documents' tenant (set by the
+ *   server from the caller's credentials, never by the client)
+ */
+export const retrieve = async (documentIds, query, options = {}) => {
+  const {
+    mode = getDefaultRetrievalMode(),
+    topK = DEFAULT_TOP_K,
+    candidates = topK * CANDIDATE_FACTOR,
+    reranker = getDefaultReranker(),
+    mmrLambda = envNumber('MMR_LAMBDA', 0.7),
+    minScore = 0,
+    maxSimilarity = envNumber('MMR_MAX_SIMILARITY', DEFAULT_MAX_SIMILARITY),
+    namespace
+  } = options;
+  
+  return timed(searchDuration, { mode }, async () => {
+    const matches = await fetchCandidates(documentIds, query, mode, Math.max(candidates, topK), namespace);
+    const reranked = await rerank(query, matches, reranker);
+    
+    return selectDiverse(reranked, { topK, lambda: mmrLambda, minScore, maxSimilarity });
+  });
+};
@@ -0,0 +1,170 @@
+import { createPineconeVectorStore } from './pineconeService.js';
+import { createLocalVectorStore } from './localVectorStore.js';
+import { logger } from '../utils/logger.js';
+
+let vectorStore = null;
+
+// Available vector store adapters, selected with VECTOR_STORE
+const vectorStoreFactories = {
+  pinecone: () => createPineconeVectorStore(),
+  local: () => createLocalVectorStore()
+};
+
+/**
+ * Get the configured vector store adapter.
+ * Every adapter implements:
+ * - upsert(records, { namespace })             records: [{ id, values, metadata }]
+ * - query({ vector, topK, filter, namespace }) resolves to [{ id, score, metadata }]
+ * - deleteByFilter(filter, { idPrefix, namespace }) resolves to the number deleted (or null if unknown)
+ * `namespace` (a tenant's, see utils/tenant.js) is undefined for the default one.
+ */
+export const getVectorStore = () => {
+  if (!vectorStore) {
+    const name = process.env.VECTOR_STORE || 'pinecone';
+    const factory = vectorStoreFactories[name];
+    
+    if (!factory) {
+      throw new Error(`Unknown VECTOR_STORE "${name}" (expected one of: ${Object.keys(vectorStoreFactories).join(', ')})`);
+    }
+    
+    vectorStore = factory();
+  }
+  
+  return vectorStore;
+};
+
+
+/**
+ * Build the ID and metadata stored for each chunk of a document (shared by
+ * the vector store and the keyword index)
+ */
+export const buildChunkRecords = (documentId, chunks, fileName) => {
+  return chunks.map((chunk, i) => {
+    const metadata = {
+      documentId: documentId,
+      fileName: fileName,
+      text: chunk.pageContent,
+      chunkIndex: i,
+    };
+    
+    // Only add pageNumber if it exists (Pinecone doesn't accept null values)
+    const pageNumber = chunk.metadata?.loc?.pageNumber || chunk.metadata?.pageNumber;
+    if (pageNumber !== null && pageNumber !== undefined) {
+      metadata.pageNumber = pageNumber;
+    }
+    
+    // Page span for chunks that cross a page break
+    if (chunk.metadata?.pageStart !== undefined && chunk.metadata?.pageEnd !== undefined) {
+      metadata.pageStart = chunk.metadata.pageStart;
+      metadata.pageEnd = chunk.metadata.pageEnd;
+    }
+    
+    // Heading path of the section the chunk starts in (structured formats)
+    if (chunk.metadata?.section) {
+      metadata.section = chunk.metadata.section;
+    }
+    
+    // Text recognised by OCR, with the lowest confidence of its pages (0-1)
+    if (chunk.metadata?.ocr) {
+      metadata.ocr = true;
+      metadata.ocrConfidence = chunk.metadata.ocrConfidence;
+    }
+    
+    // Surrounding sentences given to the model instead of the chunk
+    // (sentence-window chunking)
+    if (chunk.metadata?.window) {
+      metadata.window = chunk.metadata.window;
+    }
+    
+    // Chunk holds a code block or pseudo-code (code chunking)
+    if (chunk.metadata?.containsCode) {
+      metadata.containsCode = true;
+    }
+    
+    return {
+      id: `${documentId}-chunk-${i}`,
+      metadata
+    };
+  });
+};
+
+
+export const storeVectors = async (documentId, chunks, vectors, fileName, { signal, onProgress, namespace } = {}) => {
+  try {
+    if (!chunks || chunks.length === 0) {
+      throw new Error('No chunks provided for storage');
+    }
+    
+    if (!vectors || vectors.length === 0) {
+      throw new Error('No vectors provided for storage');
+    }
+    
+    if (chunks.length !== vectors.length) {
+      throw new Error('Number of chunks and vectors must match');
+    }
+    
+    const store = getVectorStore();
+    
+    // Prepare vectors for upsert
+    const records = buildChunkRecords(documentId, chunks, fileName).map((record, i) => ({
+      ...record,
+      values: vectors[i]
+    }));
+    
+    // Upsert vectors in batches (Pinecone recommends batches of 100)
+    const batchSize = 100;
+    for (let i = 0; i < records.length; i += batchSize) {
+      signal?.throwIfAborted();
+      const batch = records.slice(i, i + batchSize);
+      await store.upsert(batch, { namespace });
+      await onProgress?.(i + batch.length, records.length);
+    }
+  } catch (error) {
+    logger.error('Error storing vectors', { documentId, error });
+    throw new Error(`Failed to store vectors: ${error.message}`);
+  }
+};
+
+
+export const searchVectors = async (documentIds, queryVector, topK = 10, { namespace } = {}) => {
+  try {
+    if (!queryVector || queryVector.length === 0) {
+      throw new Error('Query vector is required');
+    }
+    
+    const ids = Array.isArray(documentIds) ? documentIds : [documentIds];
+    if (ids.length === 0) {
+      throw new Error('At least one document ID is required');
+    }
+    
+    // Query the vector store with filter for the requested document(s)
+    return await getVectorStore().query({
+      vector: queryVector,
+      topK,
+      namespace,
+      filter: {
+        documentId: ids.length === 1 ? { $eq: ids[0] } : { $in: ids }
+      }
+    });
+  } catch (error) {
+    logger.error('Error searching vectors', { error });
+    throw new Error(`Failed to search vectors: ${error.message}`);
+  }
+};
+
+
+/**
+ * Delete every vector belonging to a document.
+ * Resolves to the number of vectors removed (null if the store can't tell).
+ */
+export const deleteDocumentVectors = async (documentId, { namespace } = {}) => {
+  try {
+    return await getVectorStore().deleteByFilter(
+      { documentId: { $eq: documentId } },
+      { idPrefix: `${documentId}-chunk-`, namespace }
+    );
+  } catch (error) {
+    logger.error('Error deleting vectors', { documentId, error });
+    throw new Error(`Failed to delete vectors: ${error.message}`);
+  }
+};
@@ -0,0 +1,267 @@
+import crypto from 'crypto';
+import dns from 'dns/promises';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import { setTimeout as delay } from 'timers/promises';
+import { v4 as uuidv4 } from 'uuid';
+import { subscribeToDocuments } from './documentEvents.js';
+import { getWebhookRepository } from '../repositories/webhookRepository.js';
+import { getTenantId } from '../utils/tenant.js';
+import { logger } from '../utils/logger.js';
+
+// Events a webhook can subscribe to
+export const WEBHOOK_EVENTS = ['document.ready', 'document.failed'];
+
+const readInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+const getMaxAttempts = () => readInt(process.env.WEBHOOK_MAX_ATTEMPTS, 3);
+
+const getTimeout = () => readInt(process.env.WEBHOOK_TIMEOUT_MS, 10000);
+
+const getRetryDelay = () => readInt(process.env.WEBHOOK_RETRY_DELAY_MS, 1000);
+
+// Private, loopback, link-local and otherwise non-public address ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['64:ff9b:1::', 48],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+}
+
+// Host names that only resolve inside the server's own network
+const INTERNAL_HOST_SUFFIXES = ['localhost', '.localhost', '.internal', '.local'];
+
+let unsubscribe = null;
+
+/**
+ * Whether webhooks may target private addresses (WEBHOOK_ALLOW_PRIVATE),
+ * e.g. receivers on the same network in a single-tenant setup
+ */
+const allowPrivateTargets = () => process.env.WEBHOOK_ALLOW_PRIVATE === 'true';
+
+const isBlockedAddress = (address) => {
+  // IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked as IPv4
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) {
+    return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+  }
+  const family = net.isIP(address);
+  return family !== 0 && BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+const toHostname = (url) => url.hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '').toLowerCase();
+
+/**
+ * Validate a webhook URL at registration: http(s) only and, unless
+ * WEBHOOK_ALLOW_PRIVATE is set, no loopback, private, link-local or
+ * internal host. Returns an error message, or null when the URL is fine.
+ */
+export const checkWebhookUrl = (url) => {
+  let parsed;
+  try {
+    parsed = typeof url === 'string' ? new URL(url) : null;
+  } catch {
+    parsed = null;
+  }
+
+  if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+    return 'A valid http(s) webhook URL is required';
+  }
+
+  const hostname = toHostname(parsed);
+  if (!allowPrivateTargets() && (
+    INTERNAL_HOST_SUFFIXES.some(suffix => hostname === suffix || hostname.endsWith(suffix)) ||
+    isBlockedAddress(hostname)
+  )) {
+    return 'Webhook URL must not point to a private or internal address';
+  }
+
+  return null;
+};
+
+/**
+ * Resolve a webhook's host right before delivery and refuse it when any of
+ * its addresses is private, so a public name later pointed at an internal
+ * address is caught too. Resolves to { error } or to the { address,
+ * family } the delivery must connect to (none when private targets are
+ * allowed), so a second lookup can't be answered differently.
+ */
+const checkDeliveryTarget = async (url) => {
+  if (allowPrivateTargets()) {
+    return {};
+  }
+
+  const problem = checkWebhookUrl(url);
+  if (problem) {
+    return { error: problem };
+  }
+
+  const addresses = await dns.lookup(toHostname(new URL(url)), { all: true });
+  if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+    return { error: 'Webhook URL resolves to a private or internal address' };
+  }
+  return addresses[0];
+};
+
+/**
+ * `lookup` for http(s).request that answers with an already checked address
+ */
+const pinnedLookup = ({ address, family }) => (hostname, options, callback) => {
+  if (options?.all) {
+    callback(null, [{ address, family }]);
+  } else {
+    callback(null, address, family);
+  }
+};
+
+/**
+ * POST a body and resolve to the response status. Redirects are not
+ * followed: the target of a redirect was never checked.
+ */
+const postOnce = (url, { headers, body, timeoutMs, target }) => new Promise((resolve, reject) => {
+  const client = url.startsWith('https:') ? https : http;
+  const request = client.request(url, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+    signal: AbortSignal.timeout(timeoutMs),
+    ...(target?.address && { lookup: pinnedLookup(target) })
+  }, (response) => {
+    response.resume();
+    response.on('end', () => resolve(response.statusCode));
+    response.on('error', reject);
+  });
+
+  request.on('error', reject);
+  request.end(body);
+});
+
+/**
+ * Random secret for a webhook registered without one
+ */
+export const generateWebhookSecret = () => crypto.randomBytes(32).toString('hex');
+
+/**
+ * HMAC-SHA256 over "<timestamp>.<body>", hex encoded. Receivers recompute it
+ * with their secret and compare it to the X-Webhook-Signature header
+ * (after the "sha256=" prefix); the timestamp lets them reject replays.
+ */
+export const signPayload = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+/**
+ * POST one event to a webhook, retrying with exponential backoff on network
+ * errors and non-2xx responses (redirects included, as they are not
+ * followed). Targets resolving to private addresses are not contacted. The
+ * outcome is recorded as `lastDelivery`.
+ */
+export const deliverWebhook = async (webhook, event, data) => {
+  const deliveryId = uuidv4();
+  const body = JSON.stringify({
+    id: deliveryId,
+    event,
+    createdAt: new Date().toISOString(),
+    data
+  });
+  const maxAttempts = getMaxAttempts();
+  let lastError = null;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+
+    try {
+      const target = await checkDeliveryTarget(webhook.url);
+      if (target.error) {
+        logger.warn('Webhook delivery refused', { webhookId: webhook.webhookId, event, error: target.error });
+        await recordDelivery(webhook, { deliveryId, event, attempts: attempt, error: target.error });
+        return false;
+      }
+
+      const statusCode = await postOnce(webhook.url, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'RAG-chatWithPDF-Webhooks',
+          'X-Webhook-Id': deliveryId,
+          'X-Webhook-Event': event,
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': `sha256=${signPayload(webhook.secret, timestamp, body)}`
+        },
+        body,
+        timeoutMs: getTimeout(),
+        target
+      });
+
+      if (statusCode >= 200 && statusCode < 300) {
+        await recordDelivery(webhook, { deliveryId, event, attempts: attempt, statusCode });
+        return true;
+      }
+
+      lastError = statusCode >= 300 && statusCode < 400
+        ? `Receiver redirected (${statusCode}); redirects are not followed`
+        : `Receiver responded with ${statusCode}`;
+    } catch (error) {
+      lastError = error.message;
+    }
+
+    if (attempt < maxAttempts) {
+      await delay(getRetryDelay() * 2 ** (attempt - 1));
+    }
+  }
+
+  logger.error('Webhook delivery failed', { webhookId: webhook.webhookId, event, attempts: maxAttempts, error: lastError });
+  await recordDelivery(webhook, { deliveryId, event, attempts: maxAttempts, error: lastError });
+  return false;
+};
+
+const recordDelivery = async (webhook, delivery) => {
+  await getWebhookRepository().update(webhook.webhookId, {
+    lastDelivery: { ...delivery, at: new Date().toISOString() }
+  }).catch(err => logger.error('Failed to record webhook delivery', { webhookId: webhook.webhookId, error: err }));
+};
+
+/**
+ * Deliver a document status change to every webhook of the document's
+ * tenant subscribed to it
+ */
+export const dispatchDocumentStatus = async (document) => {
+  const event = `document.${document.status}`;
+  if (!WEBHOOK_EVENTS.includes(event)) {
+    return;
+  }
+
+  const { filePath, ...publicDocument } = document;
+  const webhooks = (await getWebhookRepository().list({ tenantId: getTenantId(document) }))
+    .filter(webhook => webhook.events.includes(event));
+
+  await Promise.all(webhooks.map(webhook => deliverWebhook(webhook, event, { document: publicDocument })));
+};
+
+/**
+ * Start forwarding document status changes to registered webhooks
+ */
+export const startWebhookDispatcher = () => {
+  if (unsubscribe) {
+    return;
+  }
+
+  unsubscribe = subscribeToDocuments(({ type, document }) => {
+    if (type !== 'status') {
+      return;
+    }
+
+    dispatchDocumentStatus(document).catch(err => {
+      logger.error('Failed to dispatch webhooks', { documentId: document.documentId, error: err });
+    });
+  });
+};
@@ -0,0 +1,20 @@
+import crypto from 'crypto';
+import fs from 'fs';
+
+/**
+ * SHA-256 of a file's bytes, hex encoded (streamed, so large uploads are
+ * not read into memory)
+ */
+export const hashFile = (filePath) => new Promise((resolve, reject) => {
+  const hash = crypto.createHash('sha256');
+
+  fs.createReadStream(filePath)
+    .on('error', reject)
+    .on('data', chunk => hash.update(chunk))
+    .on('end', () => resolve(hash.digest('hex')));
+});
+
+/**
+ * SHA-256 of a string, hex encoded
+ */
+export const hashText = (text) => crypto.createHash('sha256').update(text).digest('hex');
@@ -0,0 +1,96 @@
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import { logger } from './logger.js';
+
+/**
+ * Directory used for all file-backed persistence (documents, indexes, caches)
+ */
+export const getDataDir = () => process.env.DATA_DIR || './data';
+
+/**
+ * Create a JSON file store holding a single object in memory and persisting
+ * it to disk. Writes are serialized and atomic (temp file + rename), so a
+ * crash mid-write never leaves a truncated file behind.
+ */
+export const createJsonFileStore = (fileName, defaultValue = {}) => {
+  const filePath = path.join(getDataDir(), fileName);
+  let data = null;
+  let writeQueue = Promise.resolve();
+
+  // A file that can't be parsed is moved aside, never overwritten by the
+  // next save; a file that can't be read at all stops the caller
+  const load = () => {
+    let raw;
+    try {
+      raw = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return structuredClone(defaultValue);
+      }
+      throw new Error(`Failed to read store ${filePath}: ${error.message}`);
+    }
+
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      const corruptPath = `${filePath}.corrupt-${Date.now()}`;
+      fs.renameSync(filePath, corruptPath);
+      logger.error('Store file is corrupt, moved it aside and starting empty', { filePath, corruptPath, error });
+      return structuredClone(defaultValue);
+    }
+  };
+
+  const read = () => {
+    if (data === null) {
+      data = load();
+    }
+    return data;
+  };
+
+  const save = () => {
+    const snapshot = JSON.stringify(read());
+    writeQueue = writeQueue
+      .catch(() => {})
+      .then(async () => {
+        await fsp.mkdir(path.dirname(filePath), { recursive: true });
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        await fsp.writeFile(tempPath, snapshot);
+        await fsp.rename(tempPath, filePath);
+      });
+    return writeQueue;
+  };
+
+  return { filePath, read, save };
+};
+
+/**
+ * Create a store with the same interface as createJsonFileStore that never
+ * touches the disk (useful for tests and throwaway runs)
+ */
+export const createMemoryStore = (defaultValue = {}) => {
+  const data = structuredClone(defaultValue);
+  return {
+    filePath: null,
+    read: () => data,
+    save: async () => {}
+  };
+};
+
+/**
+ * Create a store for metadata using the backend selected by DOCUMENT_STORE:
+ * 'file' (default) persists to `${DATA_DIR}/${fileName}`, 'memory' does not
+ */
+export const createMetadataStore = (fileName, defaultValue = {}) => {
+  const backend = process.env.DOCUMENT_STORE || 'file';
+
+  if (backend === 'memory') {
+    return createMemoryStore(defaultValue);
+  }
+
+  if (backend === 'file') {
+    return createJsonFileStore(fileName, defaultValue);
+  }
+
+  throw new Error(`Unknown DOCUMENT_STORE "${backend}" (expected "file" or "memory")`);
+};
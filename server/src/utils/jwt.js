@@ -0,0 +1,68 @@
+import crypto from 'crypto';
+
+const decodeSegment = (segment) => JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+
+/**
+ * Verify an HS256-signed JWT and return its payload. Throws when the
+ * signature, algorithm, expiry, issuer or audience don't check out.
+ * Tokens must expire: without an `exp` claim a token is only accepted when
+ * `maxAgeSec` is given and its `iat` is no older than that. `maxAgeSec`
+ * also caps the age of tokens that do carry `exp`.
+ */
+export const verifyJwt = (token, secret, { issuer, audience, maxAgeSec, clockToleranceSec = 30 } = {}) => {
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    throw new Error('Malformed token');
+  }
+
+  const [encodedHeader, encodedPayload, signature] = parts;
+  let header;
+  let payload;
+  try {
+    header = decodeSegment(encodedHeader);
+    payload = decodeSegment(encodedPayload);
+  } catch {
+    throw new Error('Malformed token');
+  }
+
+  // Only HS256: never let the token pick a weaker algorithm (or "none")
+  if (header.alg !== 'HS256') {
+    throw new Error(`Unsupported token algorithm: ${header.alg}`);
+  }
+
+  const expected = crypto.createHmac('sha256', secret).update(`${encodedHeader}.${encodedPayload}`).digest();
+  const actual = Buffer.from(signature, 'base64url');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw new Error('Invalid token signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof payload.exp !== 'number' && !maxAgeSec) {
+    throw new Error('Token has no expiry');
+  }
+  if (typeof payload.exp === 'number' && now > payload.exp + clockToleranceSec) {
+    throw new Error('Token has expired');
+  }
+  if (maxAgeSec) {
+    if (typeof payload.iat !== 'number') {
+      throw new Error('Token has no issue time');
+    }
+    if (now > payload.iat + maxAgeSec + clockToleranceSec) {
+      throw new Error('Token is too old');
+    }
+  }
+  if (typeof payload.nbf === 'number' && now < payload.nbf - clockToleranceSec) {
+    throw new Error('Token is not valid yet');
+  }
+  if (issuer && payload.iss !== issuer) {
+    throw new Error('Unexpected token issuer');
+  }
+  if (audience) {
+    const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+    if (!audiences.includes(audience)) {
+      throw new Error('Unexpected token audience');
+    }
+  }
+
+  return payload;
+};
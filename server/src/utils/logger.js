@@ -0,0 +1,83 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Fields added to every entry logged within a request or ingestion job
+// (requestId, documentId, ...)
+const logContext = new AsyncLocalStorage();
+
+const getThreshold = () => LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info;
+
+/**
+ * Run `fn` with extra fields attached to everything it logs, including
+ * from the async work it starts
+ */
+export const runWithLogContext = (fields, fn) => logContext.run({ ...logContext.getStore(), ...fields }, fn);
+
+export const getLogContext = () => logContext.getStore() || {};
+
+const serializeError = (error) => ({
+  message: error.message,
+  ...(error.code && { code: error.code }),
+  ...((process.env.NODE_ENV === 'development' || getThreshold() === LEVELS.debug) && { stack: error.stack })
+});
+
+const serializeFields = (fields) => Object.fromEntries(
+  Object.entries(fields)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => [key, value instanceof Error ? serializeError(value) : value])
+);
+
+// Human-readable variant for local development (LOG_FORMAT=pretty)
+const formatPretty = ({ time, level, msg, ...fields }) => {
+  const details = Object.entries(fields)
+    .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+    .join(' ');
+  return `[${time}] ${level.toUpperCase()} ${msg}${details ? ` ${details}` : ''}`;
+};
+
+const write = (level, message, fields) => {
+  if (LEVELS[level] < getThreshold()) {
+    return;
+  }
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: message,
+    ...getLogContext(),
+    ...serializeFields(fields)
+  };
+
+  const line = process.env.LOG_FORMAT === 'pretty' ? formatPretty(entry) : JSON.stringify(entry);
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${line}\n`);
+};
+
+const createLogger = (bound = {}) => ({
+  debug: (message, fields = {}) => write('debug', message, { ...bound, ...fields }),
+  info: (message, fields = {}) => write('info', message, { ...bound, ...fields }),
+  warn: (message, fields = {}) => write('warn', message, { ...bound, ...fields }),
+  error: (message, fields = {}) => write('error', message, { ...bound, ...fields }),
+  child: (fields) => createLogger({ ...bound, ...fields })
+});
+
+// Query parameters carrying credentials, masked wherever a URL is logged
+const SECRET_QUERY_PARAMS = ['access_token'];
+
+/**
+ * A request URL safe to log: credential
+ * parameters are replaced by `[REDACTED]`
+ */
+export const redactUrl = (url) => SECRET_QUERY_PARAMS.reduce(
+  (redacted, name) => redacted.replace(new RegExp(`([?&]${name}=)[^&#]*`, 'g'), '$1[REDACTED]'),
+  url
+);
+
+/**
+ * Structured logger: one JSON object per line with time, level, msg, the
+ * current log context and the given fields. Errors passed as field values
+ * are reduced to their message and code (plus stack when debugging).
+ * LOG_LEVEL (debug | info | warn | error, default info) sets the minimum level.
+ */
+export const logger = createLogger();
@@ -0,0 +1,59 @@
+/**
+ * Switch a response into a Server-Sent Events stream.
+ * Returns helpers to send named events and close the stream; `closed`
+ * becomes true once the client disconnects.
+ */
+export const openEventStream = (res, { heartbeatMs = 15000 } = {}) => {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Disable response buffering in nginx-style proxies
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const stream = { closed: false };
+
+  // Comment lines keep idle connections from being dropped by proxies
+  const heartbeat = setInterval(() => {
+    if (!stream.closed) {
+      res.write(': heartbeat\n\n');
+    }
+  }, heartbeatMs);
+
+  const cleanup = () => {
+    stream.closed = true;
+    clearInterval(heartbeat);
+  };
+
+  res.on('close', cleanup);
+
+  stream.send = (event, data) => {
+    if (stream.closed) {
+      return false;
+    }
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    return true;
+  };
+
+  stream.close = () => {
+    if (!stream.closed) {
+      cleanup();
+      res.end();
+    }
+  };
+
+  return stream;
+};
+
+/**
+ * Error payload in the same shape errorHandler uses for JSON responses
+ */
+export const toErrorEvent = (err) => ({
+  success: false,
+  error: err.message || 'Internal Server Error',
+  code: err.code || 'INTERNAL_ERROR',
+  statusCode: err.statusCode || 500
+});
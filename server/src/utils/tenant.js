@@ -0,0 +1,22 @@
+// Tenant that owns everything when authentication is off, and every record
+// stored before documents had owners
+export const DEFAULT_TENANT_ID = 'default';
+
+// Tenant IDs double as vector store namespaces, so keep them simple
+export const tenantIdRegex = /^[A-Za-z0-9_-]{1,64}$/;
+
+export const getTenantId = (record) => record?.tenantId ?? DEFAULT_TENANT_ID;
+
+/**
+ * Whether a record belongs to the tenant. Without a tenant (internal
+ * callers such as the ingestion queue) every record matches.
+ */
+export const belongsToTenant = (record, tenantId) => !tenantId || getTenantId(record) === tenantId;
+
+/**
+ * Vector store namespace holding a tenant's vectors. The default tenant
+ * keeps the store's default namespace, so existing vectors stay reachable.
+ */
+export const getTenantNamespace = (tenantId) => (
+  !tenantId || tenantId === DEFAULT_TENANT_ID ? undefined : `tenant-${tenantId}`
+);
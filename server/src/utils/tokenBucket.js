@@ -0,0 +1,53 @@
+import { setTimeout as delay } from 'timers/promises';
+
+/**
+ * Token bucket holding up to `capacity` tokens and refilling continuously
+ * at `refillPerSecond`. `take(count)` waits until enough tokens are
+ * available; waiters are served in order so a large request is not starved
+ * by small ones.
+ */
+export const createTokenBucket = ({ capacity, refillPerSecond }) => {
+  let tokens = capacity;
+  let lastRefill = Date.now();
+  let queue = Promise.resolve();
+
+  const refill = () => {
+    const now = Date.now();
+    tokens = Math.min(capacity, tokens + ((now - lastRefill) / 1000) * refillPerSecond);
+    lastRefill = now;
+  };
+
+  const take = (count = 1, { signal } = {}) => {
+    // A request larger than the bucket could never be served in one go
+    const needed = Math.min(count, capacity);
+
+    const turn = queue.then(async () => {
+      for (;;) {
+        signal?.throwIfAborted();
+        refill();
+        if (tokens >= needed) {
+          tokens -= needed;
+          return;
+        }
+        const waitMs = Math.ceil(((needed - tokens) / refillPerSecond) * 1000);
+        await delay(waitMs, undefined, { signal });
+      }
+    });
+
+    queue = turn.catch(() => {});
+    return turn;
+  };
+
+  return { take };
+};
+
+/**
+ * Bucket allowing `perMinute` units per minute with bursts of the same
+ * size, or null when the limit is unset or not positive
+ */
+export const createPerMinuteBucket = (perMinute) => {
+  const limit = Number(perMinute);
+  return Number.isFinite(limit) && limit > 0
+    ? createTokenBucket({ capacity: limit, refillPerSecond: limit / 60 })
+    : null;
+};
@@ -0,0 +1,20 @@
+// Average characters per token for English text with common BPE tokenizers
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Rough token count of a text. Good enough for budgets and rate limits;
+ * not an exact tokenizer.
+ */
+export const estimateTokens = (text) => Math.ceil((text || '').length / CHARS_PER_TOKEN);
+
+/**
+ * Cut a text down to roughly `maxTokens` tokens, marking the cut with an
+ * ellipsis. Texts already within the limit are returned unchanged.
+ */
+export const truncateToTokens = (text, maxTokens) => {
+  const maxChars = Math.max(maxTokens, 0) * CHARS_PER_TOKEN;
+  if ((text || '').length <= maxChars) {
+    return text;
+  }
+  return maxChars > 1 ? `${text.slice(0, maxChars - 1).trimEnd()}…` : '';
+};
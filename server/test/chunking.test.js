@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveChunking, isSameChunking, getChunkerNames } from '../src/services/chunkerRegistry.js';
+
+test('every strategy resolves with its defaults', () => {
+  for (const strategy of getChunkerNames()) {
+    const resolved = resolveChunking(strategy);
+    assert.equal(resolved.strategy, strategy);
+    assert.deepEqual(resolveChunking(strategy, resolved.params), resolved);
+  }
+});
+
+test('missing parameters take the strategy defaults', () => {
+  assert.deepEqual(resolveChunking('recursive', { chunkSize: 500 }), {
+    strategy: 'recursive',
+    params: { chunkSize: 500, chunkOverlap: 200 }
+  });
+});
+
+test('unknown strategies and parameters are rejected', () => {
+  assert.throws(() => resolveChunking('paragraphs'), /chunking must be one of/);
+  assert.throws(() => resolveChunking('recursive', { windowSize: 3 }), /Unknown parameter "windowSize"/);
+});
+
+test('parameters must be integers within range', () => {
+  assert.throws(() => resolveChunking('recursive', { chunkSize: 50 }), /chunkSize must be an integer between 100 and 8000/);
+  assert.throws(() => resolveChunking('recursive', { chunkSize: 9000 }), /between 100 and 8000/);
+  assert.throws(() => resolveChunking('recursive', { chunkSize: 512.5 }), /must be an integer/);
+  assert.throws(() => resolveChunking('recursive', { chunkSize: '512' }), /must be an integer/);
+});
+
+test('invalid combinations are rejected', () => {
+  assert.throws(() => resolveChunking('recursive', { chunkSize: 500, chunkOverlap: 500 }), /chunkOverlap must be smaller than chunkSize/);
+});
+
+test('chunking choices compare by strategy and parameters', () => {
+  const defaults = resolveChunking('recursive');
+  assert.ok(isSameChunking(defaults, resolveChunking('recursive', { chunkSize: 1000 })));
+  assert.ok(isSameChunking(undefined, defaults));
+  assert.ok(!isSameChunking(defaults, resolveChunking('recursive', { chunkSize: 800 })));
+  assert.ok(!isSameChunking(defaults, resolveChunking('heading')));
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createDocumentRepository, encodeCursor, decodeCursor } from '../src/repositories/documentRepository.js';
+import { createMemoryStore } from '../src/utils/jsonFileStore.js';
+import { validateListDocumentsQuery } from '../src/middleware/validateRequest.js';
+
+const createRepository = async (count) => {
+  const documents = createDocumentRepository(createMemoryStore());
+  for (let i = 0; i < count; i++) {
+    await documents.create({ documentId: `doc-${i}`, fileName: `file-${i}.pdf`, status: 'ready', fileSize: 100 + i });
+  }
+  return documents;
+};
+
+const runValidation = (query) => {
+  const req = { query };
+  let error;
+  validateListDocumentsQuery(req, {}, (err) => {
+    error = err;
+  });
+  return { error, options: req.listOptions };
+};
+
+test('cursors round-trip and reject garbage', () => {
+  const cursor = { value: 5, id: 'doc-1', sortBy: 'fileSize', order: 'asc' };
+  assert.deepEqual(decodeCursor(encodeCursor(cursor)), cursor);
+  assert.equal(decodeCursor('not-a-cursor'), null);
+  assert.equal(decodeCursor(encodeCursor({ value: 5 })), null);
+});
+
+test('pages follow each other without gaps or repeats', async () => {
+  const documents = await createRepository(5);
+  const seen = [];
+  let cursor;
+
+  do {
+    const page = await documents.query({ sortBy: 'fileSize', order: 'asc', limit: 2, cursor });
+    seen.push(...page.documents.map(doc => doc.documentId));
+    cursor = page.nextCursor ? decodeCursor(page.nextCursor) : null;
+  } while (cursor);
+
+  assert.deepEqual(seen, ['doc-0', 'doc-1', 'doc-2', 'doc-3', 'doc-4']);
+});
+
+test('next cursors record the sort they were issued for', async () => {
+  const documents = await createRepository(3);
+  const page = await documents.query({ sortBy: 'fileSize', order: 'desc', limit: 1 });
+
+  const cursor = decodeCursor(page.nextCursor);
+  assert.equal(cursor.sortBy, 'fileSize');
+  assert.equal(cursor.order, 'desc');
+  assert.equal(cursor.id, 'doc-2');
+});
+
+test('a cursor is only accepted with the sort and order it was issued for', () => {
+  const cursor = encodeCursor({ value: 100, id: 'doc-0', sortBy: 'fileSize', order: 'asc' });
+
+  const matching = runValidation({ sortBy: 'fileSize', order: 'asc', cursor });
+  assert.equal(matching.error, undefined);
+  assert.equal(matching.options.cursor.id, 'doc-0');
+
+  for (const query of [{ sortBy: 'uploadDate', order: 'asc', cursor }, { sortBy: 'fileSize', cursor }]) {
+    const { error } = runValidation(query);
+    assert.equal(error.statusCode, 400);
+    assert.equal(error.code, 'VALIDATION_ERROR');
+  }
+});
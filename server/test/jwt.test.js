@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { verifyJwt } from '../src/utils/jwt.js';
+
+const SECRET = 'test-secret';
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const signJwt = (payload, { secret = SECRET, header = { alg: 'HS256', typ: 'JWT' } } = {}) => {
+  const unsigned = `${encode(header)}.${encode(payload)}`;
+  return `${unsigned}.${crypto.createHmac('sha256', secret).update(unsigned).digest('base64url')}`;
+};
+
+const now = () => Math.floor(Date.now() / 1000);
+
+test('a valid token resolves to its payload', () => {
+  const payload = { tenant: 'acme', sub: 'user-1', exp: now() + 60 };
+  assert.deepEqual(verifyJwt(signJwt(payload), SECRET), payload);
+});
+
+test('malformed tokens, other algorithms and bad signatures are rejected', () => {
+  const exp = now() + 60;
+  assert.throws(() => verifyJwt('abc.def', SECRET), /Malformed token/);
+  assert.throws(() => verifyJwt('abc.def.ghi', SECRET), /Malformed token/);
+  assert.throws(() => verifyJwt(signJwt({ exp }, { header: { alg: 'none' } }), SECRET), /Unsupported token algorithm/);
+  assert.throws(() => verifyJwt(signJwt({ exp }, { secret: 'other' }), SECRET), /Invalid token signature/);
+});
+
+test('expiry and not-before are checked with clock tolerance', () => {
+  assert.throws(() => verifyJwt(signJwt({ exp: now() - 120 }), SECRET), /expired/);
+  assert.ok(verifyJwt(signJwt({ exp: now() - 10 }), SECRET));
+  assert.throws(() => verifyJwt(signJwt({ exp: now() + 600, nbf: now() + 120 }), SECRET), /not valid yet/);
+});
+
+test('tokens without exp are rejected unless a maximum age applies', () => {
+  assert.throws(() => verifyJwt(signJwt({ tenant: 'acme' }), SECRET), /no expiry/);
+  assert.ok(verifyJwt(signJwt({ iat: now() - 30 }), SECRET, { maxAgeSec: 60 }));
+  assert.throws(() => verifyJwt(signJwt({ iat: now() - 600 }), SECRET, { maxAgeSec: 60 }), /too old/);
+  assert.throws(() => verifyJwt(signJwt({}), SECRET, { maxAgeSec: 60 }), /no issue time/);
+  assert.throws(() => verifyJwt(signJwt({ iat: now() - 600, exp: now() + 600 }), SECRET, { maxAgeSec: 60 }), /too old/);
+});
+
+test('issuer and audience must match when configured', () => {
+  const token = signJwt({ exp: now() + 60, iss: 'auth.example.com', aud: ['rag', 'other'] });
+  assert.ok(verifyJwt(token, SECRET, { issuer: 'auth.example.com', audience: 'rag' }));
+  assert.throws(() => verifyJwt(token, SECRET, { issuer: 'evil.example.com' }), /issuer/);
+  assert.throws(() => verifyJwt(token, SECRET, { audience: 'billing' }), /audience/);
+});
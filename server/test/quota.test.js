@@ -0,0 +1,99 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createUsageRepository } from '../src/repositories/usageRepository.js';
+import { createMemoryStore } from '../src/utils/jsonFileStore.js';
+import {
+  consumeRequest,
+  getDailyUsage,
+  checkIngestionCost,
+  chargeIngestionUsage
+} from '../src/services/quotaService.js';
+
+const MINUTE_MS = 60 * 1000;
+
+// The service's usage repository is shared, so every test uses its own client
+let clientCount = 0;
+let clientId;
+
+beforeEach(() => {
+  clientId = `test-client-${++clientCount}`;
+  process.env.RATE_LIMIT_QUERIES_PER_MINUTE = '2';
+  process.env.QUOTA_DAILY_PAGES = '10';
+  process.env.QUOTA_DAILY_EMBEDDING_TOKENS = '1000';
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  delete process.env.RATE_LIMIT_QUERIES_PER_MINUTE;
+  delete process.env.QUOTA_DAILY_PAGES;
+  delete process.env.QUOTA_DAILY_EMBEDDING_TOKENS;
+});
+
+test('usage counters read as zero once expired', async () => {
+  const usage = createUsageRepository(createMemoryStore());
+  const expiresAt = Date.now() + 1000;
+
+  assert.equal(await usage.increment('key', 2, expiresAt), 2);
+  assert.equal(await usage.increment('key', 3, expiresAt), 5);
+  assert.equal(await usage.get('key'), 5);
+
+  mock.method(Date, 'now', () => expiresAt);
+  assert.equal(await usage.get('key'), 0);
+  assert.equal(await usage.increment('key', 1, expiresAt + 1000), 1);
+});
+
+test('requests are limited per fixed one-minute window', async () => {
+  const windowStart = Math.floor(Date.now() / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+  let clock = windowStart + 10 * 1000;
+  mock.method(Date, 'now', () => clock);
+
+  const first = await consumeRequest(clientId, 'query');
+  assert.deepEqual(first, { limit: 2, remaining: 1, resetAt: windowStart + MINUTE_MS, allowed: true });
+  assert.equal((await consumeRequest(clientId, 'query')).allowed, true);
+
+  const blocked = await consumeRequest(clientId, 'query');
+  assert.equal(blocked.allowed, false);
+  assert.equal(blocked.remaining, 0);
+
+  // The next window starts from zero
+  clock = windowStart + MINUTE_MS;
+  const next = await consumeRequest(clientId, 'query');
+  assert.equal(next.allowed, true);
+  assert.equal(next.remaining, 1);
+  assert.equal(next.resetAt, windowStart + 2 * MINUTE_MS);
+});
+
+test('a zero limit turns rate limiting off', async () => {
+  process.env.RATE_LIMIT_QUERIES_PER_MINUTE = '0';
+  assert.equal(await consumeRequest(clientId, 'query'), null);
+});
+
+test('daily quotas reset at the next UTC midnight', async () => {
+  const { resetAt } = await getDailyUsage(clientId);
+  const reset = new Date(resetAt);
+
+  assert.equal(reset.getUTCHours() + reset.getUTCMinutes() + reset.getUTCSeconds(), 0);
+  assert.ok(resetAt > Date.now());
+  assert.ok(resetAt - Date.now() <= 24 * 60 * MINUTE_MS);
+});
+
+test('an ingestion step is refused when the remaining quota does not cover it', async () => {
+  assert.equal(await checkIngestionCost(clientId, { pages: 10 }), null);
+
+  await chargeIngestionUsage(clientId, { pages: 8, embeddingTokens: 900 });
+  const daily = await getDailyUsage(clientId);
+  assert.equal(daily.pages.remaining, 2);
+  assert.equal(daily.embeddingTokens.remaining, 100);
+
+  assert.equal(await checkIngestionCost(clientId, { pages: 2 }), null);
+  assert.match(await checkIngestionCost(clientId, { pages: 3 }), /page quota exceeded: 3 pages needed, 2 left/);
+  assert.match(await checkIngestionCost(clientId, { embeddingTokens: 101 }), /embedding-token quota exceeded/);
+});
+
+test('overshooting charges are recorded and leave nothing remaining', async () => {
+  await chargeIngestionUsage(clientId, { pages: 12 });
+  const { pages } = await getDailyUsage(clientId);
+
+  assert.equal(pages.used, 12);
+  assert.equal(pages.remaining, 0);
+});
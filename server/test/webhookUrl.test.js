@@ -0,0 +1,49 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkWebhookUrl } from '../src/services/webhookService.js';
+
+afterEach(() => {
+  delete process.env.WEBHOOK_ALLOW_PRIVATE;
+});
+
+test('public http(s) URLs are accepted', () => {
+  assert.equal(checkWebhookUrl('https://hooks.example.com/rag'), null);
+  assert.equal(checkWebhookUrl('http://203.0.113.10:8080/hook'), null);
+  assert.equal(checkWebhookUrl('https://[2001:db8::1]/hook'), null);
+});
+
+test('malformed and non-http URLs are rejected', () => {
+  for (const url of ['not a url', 'ftp://example.com/', 'file:///etc/passwd', undefined]) {
+    assert.match(checkWebhookUrl(url), /valid http\(s\)/, String(url));
+  }
+});
+
+test('private, loopback, link-local and internal targets are rejected', () => {
+  for (const url of [
+    'http://localhost/hook',
+    'http://localhost./hook',
+    'http://api.localhost/hook',
+    'http://metadata.google.internal/',
+    'http://printer.local/',
+    'http://127.0.0.1:5000/',
+    'http://10.1.2.3/',
+    'http://172.16.0.1/',
+    'http://192.168.1.1/',
+    'http://169.254.169.254/latest/meta-data/',
+    'http://100.64.0.1/',
+    'http://0.0.0.0/',
+    'http://[::1]/',
+    'http://[::ffff:127.0.0.1]/',
+    'http://[fd00::1]/',
+    'http://[fe80::1]/',
+    'http://[64:ff9b::a9fe:a9fe]/'
+  ]) {
+    assert.match(checkWebhookUrl(url), /private or internal/, url);
+  }
+});
+
+test('WEBHOOK_ALLOW_PRIVATE lifts the address checks', () => {
+  process.env.WEBHOOK_ALLOW_PRIVATE = 'true';
+  assert.equal(checkWebhookUrl('http://127.0.0.1:5000/'), null);
+  assert.match(checkWebhookUrl('ftp://127.0.0.1/'), /valid http\(s\)/);
+});